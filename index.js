@@ -6,454 +6,5609 @@ GPT-Assisted:(Model: GPT-4o)
 Description: Express.js + Puppeteer tabanlı, WMS destekli harita ekran görüntüsü servisi.
 */
 
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
 const express = require('express');
 const puppeteer = require('puppeteer');
 const rateLimit = require('express-rate-limit');
+const archiver = require('archiver');
+const proj4 = require('proj4');
+const promClient = require('prom-client');
+const { PNG } = require('pngjs');
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+const deflate = promisify(zlib.deflate);
 
 const app = express();
 app.use(express.json());
 
-// Rate Limiting - IP başına 1 dakikada 10 istek
+// Prometheus metrikleri - GET /metrics ile text formatında okunur
+const METRICS_PREFIX = 'map_screenshot_';
+promClient.collectDefaultMetrics({ prefix: METRICS_PREFIX });
+
+const metrics = {
+  httpRequests: new promClient.Counter({
+    name: `${METRICS_PREFIX}http_requests_total`,
+    help: 'HTTP requests by endpoint and status code',
+    labelNames: ['endpoint', 'status']
+  }),
+  renders: new promClient.Counter({
+    name: `${METRICS_PREFIX}renders_total`,
+    help: 'Render results by endpoint, format and result (ok, cached, error)',
+    labelNames: ['endpoint', 'format', 'result']
+  }),
+  renderDuration: new promClient.Histogram({
+    name: `${METRICS_PREFIX}render_duration_seconds`,
+    help: 'Render latency of uncached renders by endpoint and format',
+    labelNames: ['endpoint', 'format'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120]
+  }),
+  renderTimeouts: new promClient.Counter({
+    name: `${METRICS_PREFIX}render_timeouts_total`,
+    help: 'Renders captured after the wait timeout instead of a ready map',
+    labelNames: ['endpoint']
+  }),
+  pageTiles: new promClient.Counter({
+    name: `${METRICS_PREFIX}page_tiles_total`,
+    help: 'Tile, image and vector loads reported by the render page by result (loaded, failed)',
+    labelNames: ['result']
+  }),
+  validationFailures: new promClient.Counter({
+    name: `${METRICS_PREFIX}validation_failures_total`,
+    help: 'Requests or batch items rejected by validation',
+    labelNames: ['endpoint']
+  }),
+  rateLimited: new promClient.Counter({
+    name: `${METRICS_PREFIX}rate_limited_total`,
+    help: 'Requests rejected by a rate limit or quota (ip, api_key, daily_quota)',
+    labelNames: ['limiter']
+  })
+};
+
+// İstek sayıları ve 400 yanıtları (doğrulama hataları) route bazında sayılır
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const endpoint = req.route ? `${req.method} ${req.route.path}` : 'unmatched';
+    metrics.httpRequests.inc({ endpoint, status: res.statusCode });
+    if (res.statusCode === 400) {
+      metrics.validationFailures.inc({ endpoint });
+    }
+  });
+  next();
+});
+
+// Render sonucunu metriklere yaz - cache'ten dönen yanıtlar süre ve tile sayılarına katılmaz
+function recordRender(endpoint, format, result, err = null) {
+  const render = err ? err.render : result.render;
+  if (!err && result.cacheStatus === 'HIT') {
+    metrics.renders.inc({ endpoint, format, result: 'cached' });
+    return;
+  }
+
+  metrics.renders.inc({ endpoint, format, result: err ? 'error' : 'ok' });
+  if (!render) {
+    return;
+  }
+  if (!err) {
+    metrics.renderDuration.observe({ endpoint, format }, render.durationMs / 1000);
+  }
+  metrics.pageTiles.inc({ result: 'loaded' }, render.tilesLoaded || 0);
+  metrics.pageTiles.inc({ result: 'failed' }, render.tilesFailed || 0);
+  if (render.timedOut) {
+    metrics.renderTimeouts.inc({ endpoint });
+  }
+}
+
+// Rate Limiting - IP başına 1 dakikada 60 istek
+const SCREENSHOT_RATE_WINDOW_MINUTES = 1;
+const SCREENSHOT_RATE_LIMIT = 60;
 const screenshotLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 15 dakika
-  max: 60, // IP başına maksimum 60 istek
+  windowMs: SCREENSHOT_RATE_WINDOW_MINUTES * 60 * 1000,
+  max: SCREENSHOT_RATE_LIMIT,
   message: {
     error: 'Too many screenshot requests, please try again later.',
-    retryAfter: '15 minutes'
+    retryAfter: `${SCREENSHOT_RATE_WINDOW_MINUTES} minute${SCREENSHOT_RATE_WINDOW_MINUTES === 1 ? '' : 's'}`
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // API anahtarlı istekler IP yerine anahtar bazında sınırlanır (apiKeyLimiter)
+  skip: req => Boolean(req.apiKey),
+  handler: (req, res, next, options) => {
+    metrics.rateLimited.inc({ limiter: 'ip' });
+    res.status(options.statusCode).json(options.message);
+  }
 });
 
-// Browser Pool Class - Performans için browser instance'ları yeniden kullanma
-class BrowserPool {
-  constructor() {
-    this.browsers = [];
-    this.maxSize = 3;
-    this.inUse = new Set();
-  }
+// API anahtarları - API_KEYS_FILE (JSON dosyası) ya da API_KEYS (JSON metni) ile tanımlanır, yoksa kimlik doğrulama kapalıdır
+const API_KEY_FEATURES = ['wms', 'batch', 'pdf', 'jobs', 'animation', 'templates'];
+const DEFAULT_KEY_RATE_LIMIT = 60;
 
-  async getBrowser() {
-    // Mevcut browser varsa kullan
-    if (this.browsers.length > 0) {
-      const browser = this.browsers.pop();
-      this.inUse.add(browser);
-      return browser;
-    }
+// API Key Store Class - Anahtar başına yetkiler, kota ve kullanım sayaçları
+class ApiKeyStore {
+  constructor(entries) {
+    this.keys = new Map();
+
+    entries.forEach((entry, index) => {
+      const prefix = `API key ${index + 1}:`;
+      if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+        throw new Error(`${prefix} key must be a string of at least 16 characters`);
+      }
+      ['rateLimit', 'dailyQuota'].forEach(field => {
+        if (entry[field] !== undefined && entry[field] !== null && !(Number.isInteger(entry[field]) && entry[field] > 0)) {
+          throw new Error(`${prefix} ${field} must be a positive integer`);
+        }
+      });
+      if (entry.features !== undefined && (!Array.isArray(entry.features) || entry.features.some(feature => !API_KEY_FEATURES.includes(feature)))) {
+        throw new Error(`${prefix} features must be an array of: ${API_KEY_FEATURES.join(', ')}`);
+      }
+      if (entry.wmsHosts !== undefined && (!Array.isArray(entry.wmsHosts) || entry.wmsHosts.some(host => typeof host !== 'string'))) {
+        throw new Error(`${prefix} wmsHosts must be an array of host names`);
+      }
 
-    // Yeni browser oluştur
-    const browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
+      // Anahtarın kendisi bellekte tutulmaz, özeti ile aranır
+      const id = this.hash(entry.key);
+      if (this.keys.has(id)) {
+        throw new Error(`${prefix} duplicate key`);
+      }
+      this.keys.set(id, {
+        id,
+        name: entry.name || `key-${index + 1}`,
+        rateLimit: entry.rateLimit || DEFAULT_KEY_RATE_LIMIT,
+        dailyQuota: entry.dailyQuota || null,
+        features: entry.features || API_KEY_FEATURES,
+        wmsHosts: entry.wmsHosts ? entry.wmsHosts.map(host => host.toLowerCase()) : null,
+        usage: {
+          requests: 0,
+          renders: 0,
+          day: null,
+          rendersToday: 0,
+          rateLimited: 0,
+          quotaExceeded: 0,
+          forbidden: 0,
+          lastUsedAt: null
+        }
+      });
     });
-    this.inUse.add(browser);
-    return browser;
   }
 
-  releaseBrowser(browser) {
-    this.inUse.delete(browser);
-    
-    if (this.browsers.length < this.maxSize) {
-      this.browsers.push(browser);
-    } else {
-      browser.close().catch(console.error);
-    }
+  get enabled() {
+    return this.keys.size > 0;
   }
 
-  async cleanup() {
-    // Tüm browser'ları temizle
-    const allBrowsers = [...this.browsers, ...this.inUse];
-    await Promise.all(allBrowsers.map(browser => browser.close().catch(console.error)));
-    this.browsers = [];
-    this.inUse.clear();
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
   }
-}
 
-const browserPool = new BrowserPool();
+  find(key) {
+    return this.keys.get(this.hash(key)) || null;
+  }
 
-// Input Validation Function
-function validateInput(lat, lon, zoom, width, height, wms, pin) {
-  const errors = [];
+  // Günlük sayaç UTC gün değişince sıfırlanır
+  today(apiKey) {
+    const day = new Date().toISOString().slice(0, 10);
+    if (apiKey.usage.day !== day) {
+      apiKey.usage.day = day;
+      apiKey.usage.rendersToday = 0;
+    }
+    return apiKey.usage;
+  }
 
-  // Latitude kontrolü
-  if (typeof lat !== 'number' || lat < -90 || lat > 90) {
-    errors.push('Latitude must be a number between -90 and 90');
+  // Render hakkını düş - kota yetmiyorsa hiçbirini düşmeden false döner
+  consume(apiKey, units) {
+    const usage = this.today(apiKey);
+    if (apiKey.dailyQuota !== null && usage.rendersToday + units > apiKey.dailyQuota) {
+      usage.quotaExceeded++;
+      return false;
+    }
+    usage.rendersToday += units;
+    usage.renders += units;
+    return true;
   }
 
-  // Longitude kontrolü  
-  if (typeof lon !== 'number' || lon < -180 || lon > 180) {
-    errors.push('Longitude must be a number between -180 and 180');
+  record(apiKey, counter) {
+    apiKey.usage[counter]++;
   }
 
-  // Zoom kontrolü
-  if (typeof zoom !== 'number' || zoom < 1 || zoom > 20) {
-    errors.push('Zoom must be a number between 1 and 20');
+  describe(apiKey) {
+    const usage = this.today(apiKey);
+    return {
+      name: apiKey.name,
+      rateLimitPerMinute: apiKey.rateLimit,
+      dailyQuota: apiKey.dailyQuota,
+      features: apiKey.features,
+      wmsHosts: apiKey.wmsHosts,
+      usage: {
+        requests: usage.requests,
+        renders: usage.renders,
+        today: {
+          date: usage.day,
+          renders: usage.rendersToday,
+          remaining: apiKey.dailyQuota === null ? null : Math.max(0, apiKey.dailyQuota - usage.rendersToday)
+        },
+        rateLimited: usage.rateLimited,
+        quotaExceeded: usage.quotaExceeded,
+        forbidden: usage.forbidden,
+        lastUsedAt: usage.lastUsedAt
+      }
+    };
   }
 
-  // Width kontrolü
-  if (width && (typeof width !== 'number' || width < 50 || width > 2000)) {
-    errors.push('Width must be a number between 100 and 2000');
+  stats() {
+    return Array.from(this.keys.values()).map(apiKey => this.describe(apiKey));
   }
+}
 
-  // Height kontrolü
-  if (height && (typeof height !== 'number' || height < 50 || height > 2000)) {
-    errors.push('Height must be a number between 100 and 2000');
+// Anahtar listesi düz dizi ya da { keys: [...] } olabilir - hatalı yapılandırmada servis başlamaz
+function loadApiKeys() {
+  const raw = process.env.API_KEYS_FILE
+    ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')
+    : process.env.API_KEYS;
+  if (!raw) {
+    return new ApiKeyStore([]);
   }
 
-  // WMS katmanları kontrolü
-  if (wms) {
-    if (!Array.isArray(wms)) {
-      errors.push('WMS must be an array of layer objects');
-    } else {
-      if (wms.length > 5) {
-        errors.push('Maximum 5 WMS layers allowed');
-      }
-      
-      wms.forEach((layer, index) => {
-        if (!layer.url || typeof layer.url !== 'string') {
-          errors.push(`WMS layer ${index + 1}: URL is required and must be a string`);
-        }
-        if (!layer.layers || typeof layer.layers !== 'string') {
-          errors.push(`WMS layer ${index + 1}: layers parameter is required and must be a string`);
-        }
-        if (layer.opacity !== undefined && (typeof layer.opacity !== 'number' || layer.opacity < 0 || layer.opacity > 1)) {
-          errors.push(`WMS layer ${index + 1}: opacity must be a number between 0 and 1`);
-        }
+  const config = JSON.parse(raw);
+  const entries = Array.isArray(config) ? config : config.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error('API key config must be an array or an object with a keys array');
+  }
+  return new ApiKeyStore(entries);
+}
+
+const apiKeys = loadApiKeys();
+
+// API anahtarı kontrolü - anahtar X-API-Key başlığı ya da api_key query parametresi ile gelir
+function requireApiKey(feature = null) {
+  return (req, res, next) => {
+    if (!apiKeys.enabled) {
+      return next();
+    }
+
+    const provided = req.get('X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+    const apiKey = provided ? apiKeys.find(provided) : null;
+    if (!apiKey) {
+      return res.status(401).json({
+        error: provided ? 'Invalid API key' : 'API key required',
+        message: 'Send the key in the X-API-Key header or the api_key query parameter'
+      });
+    }
+
+    apiKey.usage.requests++;
+    apiKey.usage.lastUsedAt = new Date().toISOString();
+
+    if (feature && !apiKey.features.includes(feature)) {
+      apiKeys.record(apiKey, 'forbidden');
+      return res.status(403).json({
+        error: `This API key is not allowed to use ${feature}`
       });
     }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+// Anahtar başına dakikalık limit - limit değeri anahtarın ayarından gelir
+const apiKeyLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: req => req.apiKey.rateLimit,
+  keyGenerator: req => req.apiKey.id,
+  skip: req => !req.apiKey,
+  handler: (req, res, next, options) => {
+    apiKeys.record(req.apiKey, 'rateLimited');
+    metrics.rateLimited.inc({ limiter: 'api_key' });
+    res.status(options.statusCode).json({
+      error: 'Too many requests for this API key, please try again later.',
+      limit: req.apiKey.rateLimit,
+      retryAfter: '1 minute'
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Render route'larının ortak kontrolleri: anahtar, IP limiti, anahtar limiti
+function screenshotGuards(feature) {
+  return [requireApiKey(feature), screenshotLimiter, apiKeyLimiter];
+}
+
+// İsteğin kullandığı özellikleri ve WMS adreslerini anahtarın izinleriyle karşılaştır, sonra kotadan düş
+// Sorun varsa { status, body }, yoksa null döndürür
+function authorizeRender(req, optionsList) {
+  const apiKey = req.apiKey;
+  if (!apiKey) {
+    return null;
   }
 
-  // Pin kontrolü
-  if (pin) {
-    if (typeof pin !== 'object' || Array.isArray(pin)) {
-      errors.push('Pin must be an object');
-    } else {
-      if (pin.lat !== undefined && (typeof pin.lat !== 'number' || pin.lat < -90 || pin.lat > 90)) {
-        errors.push('Pin latitude must be a number between -90 and 90');
-      }
-      if (pin.lon !== undefined && (typeof pin.lon !== 'number' || pin.lon < -180 || pin.lon > 180)) {
-        errors.push('Pin longitude must be a number between -180 and 180');
-      }
-      if (pin.text && typeof pin.text !== 'string') {
-        errors.push('Pin text must be a string');
-      }
-      if (pin.text && pin.text.length > 50) {
-        errors.push('Pin text cannot exceed 50 characters');
-      }
-      if (pin.color && typeof pin.color !== 'string') {
-        errors.push('Pin color must be a valid color string');
-      }
-      if (pin.size && (typeof pin.size !== 'number' || pin.size < 1 || pin.size > 50)) {
-        errors.push('Pin size must be a number between 1 and 50');
-      }
-      if (pin.textSize && (typeof pin.textSize !== 'number' || pin.textSize < 4 || pin.textSize > 48)) {
-        errors.push('Pin textSize must be a number between 4 and 48');
+  const forbidden = error => {
+    apiKeys.record(apiKey, 'forbidden');
+    return { status: 403, body: { error } };
+  };
+
+  for (const options of optionsList) {
+    const layers = collectOverlays(options.wms, options.overlays);
+    if (layers.length > 0 && !apiKey.features.includes('wms')) {
+      return forbidden('This API key is not allowed to use WMS or overlay layers');
+    }
+    if (options.format === 'pdf' && !apiKey.features.includes('pdf')) {
+      return forbidden('This API key is not allowed to use pdf');
+    }
+    if (apiKey.wmsHosts) {
+      const hostnames = layers.map(layer => templateUrlHostname(layer.url));
+      if (hostnames.includes(null)) {
+        return { status: 400, body: { error: 'Validation failed', details: ['Layer URLs must be valid http(s) URLs'] } };
       }
-      if (pin.type && !['circle', 'square', 'triangle', 'star', 'diamond'].includes(pin.type)) {
-        errors.push('Pin type must be one of: circle, square, triangle, star, diamond');
+      const host = hostnames
+        .find(hostname => !apiKey.wmsHosts.some(pattern => pattern.startsWith('*.')
+          ? hostname.endsWith(pattern.slice(1))
+          : hostname === pattern));
+      if (host) {
+        return forbidden(`Host ${host} is not in the allowed WMS hosts of this API key`);
       }
     }
   }
 
-  return errors;
+  if (!apiKeys.consume(apiKey, optionsList.length)) {
+    metrics.rateLimited.inc({ limiter: 'daily_quota' });
+    return {
+      status: 429,
+      body: {
+        error: 'Daily quota exceeded for this API key',
+        dailyQuota: apiKey.dailyQuota,
+        requested: optionsList.length,
+        remaining: Math.max(0, apiKey.dailyQuota - apiKey.usage.rendersToday)
+      }
+    };
+  }
+
+  return null;
 }
 
-// Health Check Endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    service: 'Map Screenshot API',
-    version: '1.1.0',
-    uptime: process.uptime()
-  });
-});
+// Browser havuzu ayarları - ortam değişkenleriyle değiştirilebilir
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 3;
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES) || 2;
+const BROWSER_RECYCLE_AFTER = parseInt(process.env.BROWSER_RECYCLE_AFTER) || 100;
+const BROWSER_QUEUE_LIMIT = parseInt(process.env.BROWSER_QUEUE_LIMIT) || 50;
+const BROWSER_QUEUE_TIMEOUT_MS = (parseInt(process.env.BROWSER_QUEUE_TIMEOUT_SECONDS) || 30) * 1000;
+const BROWSER_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu'
+];
 
-// GET Screenshot Endpoint - Query parameters ile
-app.get('/screenshot', screenshotLimiter, async (req, res) => {
-  const { 
-    lat, 
-    lon, 
-    zoom, 
-    width = 640, 
-    height = 480, 
-    format = 'jpeg',
-    quality = 70
-  } = req.query;
-
-  // Query parametrelerini number'a çevir
-  const numLat = parseFloat(lat);
-  const numLon = parseFloat(lon);
-  const numZoom = parseInt(zoom);
-  const numWidth = parseInt(width);
-  const numHeight = parseInt(height);
-  const numQuality = parseInt(quality);
-
-  // Temel parametre kontrolü
-  if (isNaN(numLat) || isNaN(numLon) || isNaN(numZoom)) {
-    return res.status(400).json({
-      error: 'Missing or invalid required parameters',
-      required: ['lat', 'lon', 'zoom'],
-      example: '/screenshot?lat=41.0082&lon=28.9784&zoom=15'
-    });
+// Pool Busy Error Class - Havuz dolu ve bekleme kuyruğu taşmış ya da süresi dolmuş
+class PoolBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PoolBusyError';
+    this.statusCode = 503;
   }
+}
 
-  // Input validation
-  const validationErrors = validateInput(numLat, numLon, numZoom, numWidth, numHeight);
-  if (validationErrors.length > 0) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: validationErrors,
-      example: '/screenshot?lat=41.0082&lon=28.9784&zoom=15&width=800&height=600'
-    });
+// Browser Pool Class - Sınırlı sayıda browser, her render için ayrı context ve sayfa
+class BrowserPool {
+  constructor({ maxBrowsers, maxPagesPerBrowser, recycleAfter, queueLimit, queueTimeoutMs }) {
+    this.maxBrowsers = maxBrowsers;
+    this.maxPagesPerBrowser = maxPagesPerBrowser;
+    this.recycleAfter = recycleAfter;
+    this.queueLimit = queueLimit;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.entries = [];
+    this.leases = new Map();
+    this.waiters = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.totals = { launched: 0, launchFailures: 0, recycled: 0, crashed: 0, acquired: 0, queued: 0, queueTimeouts: 0, rejected: 0 };
   }
 
-  // Format kontrolü
-  const supportedFormats = ['jpeg', 'png', 'webp'];
-  if (!supportedFormats.includes(format)) {
-    return res.status(400).json({
-      error: 'Unsupported format',
-      supported: supportedFormats,
-      example: '/screenshot?lat=41.0082&lon=28.9784&zoom=15&format=png'
-    });
+  get capacity() {
+    return this.maxBrowsers * this.maxPagesPerBrowser;
   }
 
-  // Quality kontrolü (sadece jpeg için)
-  if (format === 'jpeg' && (numQuality < 1 || numQuality > 100)) {
-    return res.status(400).json({
-      error: 'Quality must be between 1 and 100 for JPEG format'
-    });
+  // Boş yeri olan browser'ı seç, yoksa sınır aşılmıyorsa yenisini başlat
+  place() {
+    const entry = this.entries.find(item => !item.retiring && item.pages < this.maxPagesPerBrowser &&
+      (!item.browser || item.browser.connected));
+    if (entry) {
+      entry.pages++;
+      return entry;
+    }
+    if (this.entries.length >= this.maxBrowsers) {
+      return null;
+    }
+
+    const created = {
+      id: this.nextId++,
+      browser: null,
+      pages: 1,
+      renders: 0,
+      retiring: false,
+      launchedAt: Date.now()
+    };
+    created.ready = this.launch(created);
+    this.entries.push(created);
+    return created;
   }
 
-  let browser = null;
+  async launch(entry) {
+    try {
+      const browser = await puppeteer.launch({ headless: 'new', args: BROWSER_LAUNCH_ARGS });
+      entry.browser = browser;
+      this.totals.launched++;
 
-  try {
-    console.log(`GET Screenshot request: lat=${numLat}, lon=${numLon}, zoom=${numZoom}, ${numWidth}x${numHeight}, ${format}`);
-    
-    browser = await browserPool.getBrowser();
-    const page = await browser.newPage();
-    
-    await page.setViewport({ width: numWidth, height: numHeight });
+      // Çöken ya da kapanan browser havuzdan çıkarılır
+      browser.on('disconnected', () => {
+        if (this.entries.includes(entry)) {
+          if (!entry.retiring) {
+            this.totals.crashed++;
+            console.error(`Browser ${entry.id} disconnected unexpectedly`);
+          }
+          this.remove(entry);
+        }
+      });
+      return browser;
+    } catch (err) {
+      this.totals.launchFailures++;
+      this.remove(entry);
+      throw err;
+    }
+  }
 
-    // GET request'te WMS desteği yok (çok karmaşık olur)
-    const html = generateHtml(numLat, numLon, numZoom, null);
-    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+  // Sayfa al - havuz doluysa kuyrukta bekler, kuyruk doluysa ya da süre dolarsa PoolBusyError
+  async acquirePage() {
+    if (this.closed) {
+      throw new PoolBusyError('Browser pool is shutting down');
+    }
 
-    await page.waitForFunction(
-      () => document.title === 'ready',
-      { timeout: 20000 }
-    );
+    let entry = this.waiters.length === 0 ? this.place() : null;
+    if (!entry) {
+      entry = await this.wait();
+    }
+
+    let context = null;
+    try {
+      const browser = await entry.ready;
+      context = await browser.createBrowserContext();
+      const page = await context.newPage();
+      this.leases.set(page, { entry, context });
+      this.totals.acquired++;
+      return page;
+    } catch (err) {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      // Açılamayan sayfanın yeri boşaltılır, browser da yenilenmek üzere işaretlenir
+      entry.pages--;
+      entry.retiring = true;
+      this.settle(entry);
+      throw err;
+    }
+  }
 
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  wait() {
+    if (this.waiters.length >= this.queueLimit) {
+      this.totals.rejected++;
+      return Promise.reject(new PoolBusyError(`Render queue is full (${this.queueLimit} waiting), try again later`));
+    }
 
-    const screenshotOptions = {
-      type: format,
-      fullPage: false
-    };
+    this.totals.queued++;
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        this.totals.queueTimeouts++;
+        reject(new PoolBusyError(`No browser became available within ${this.queueTimeoutMs / 1000}s`));
+      }, this.queueTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
 
-    if (format === 'jpeg') {
-      screenshotOptions.quality = numQuality;
+  // Sırada bekleyenlere boşalan yerleri ver
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const entry = this.place();
+      if (!entry) {
+        return;
+      }
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(entry);
     }
+  }
 
-    const buffer = await page.screenshot(screenshotOptions);
+  // Sayfayı bırak - context kapatılır; broken ise browser yeni iş almaz ve boşalınca kapanır
+  async releasePage(page, { broken = false } = {}) {
+    const lease = this.leases.get(page);
+    if (!lease) {
+      return;
+    }
+    this.leases.delete(page);
 
-    await page.close();
-    browserPool.releaseBrowser(browser);
+    const { entry, context } = lease;
+    await context.close().catch(err => console.error('Error closing browser context:', err.message));
 
-    console.log(`GET Screenshot generated successfully: ${buffer.length} bytes`);
-    
-    res.set('Content-Type', `image/${format}`);
-    res.set('Content-Length', buffer.length.toString());
-    res.send(buffer);
+    entry.pages--;
+    entry.renders++;
+    if (broken || entry.renders >= this.recycleAfter) {
+      entry.retiring = true;
+    }
+    this.settle(entry);
+  }
 
-  } catch (err) {
-    console.error('GET Screenshot Error:', err);
-    
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeErr) {
-        console.error('Error closing browser:', closeErr);
+  // Yenilenecek browser'ı son sayfası da bırakılınca kapat, sonra kuyruğu ilerlet
+  settle(entry) {
+    if (entry.retiring && entry.pages === 0 && this.entries.includes(entry)) {
+      this.remove(entry);
+      this.totals.recycled++;
+      if (entry.browser) {
+        entry.browser.close().catch(err => console.error('Error closing browser:', err.message));
       }
     }
-    
-    res.status(500).json({
-      error: 'Error generating screenshot',
-      message: err.message
-    });
+    this.dispatch();
   }
-});
 
-// Ana Screenshot Endpoint - Rate limiting uygulanmış
-app.post('/screenshot', screenshotLimiter, async (req, res) => {
-  const { 
-    lat, 
-    lon, 
-    zoom, 
-    width = 640, 
-    height = 480, 
-    format = 'jpeg',
-    quality = 70,
-    wms = null,
-    pin = null
-  } = req.body;
+  remove(entry) {
+    entry.retiring = true;
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+    }
+    // Ölen browser'ın yeri yeni bir browser için kullanılabilir
+    this.dispatch();
+  }
 
-  // Input validation
-  const validationErrors = validateInput(lat, lon, zoom, width, height, wms, pin);
-  if (validationErrors.length > 0) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: validationErrors
-    });
+  stats() {
+    return {
+      browsers: this.entries.length,
+      maxBrowsers: this.maxBrowsers,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      activePages: this.entries.reduce((sum, entry) => sum + entry.pages, 0),
+      capacity: this.capacity,
+      waiting: this.waiters.length,
+      queueLimit: this.queueLimit,
+      queueTimeoutMs: this.queueTimeoutMs,
+      recycleAfter: this.recycleAfter,
+      totals: { ...this.totals },
+      instances: this.entries.map(entry => ({
+        id: entry.id,
+        status: !entry.browser ? 'launching' : entry.retiring ? 'retiring' : 'ready',
+        pages: entry.pages,
+        renders: entry.renders,
+        ageSeconds: Math.round((Date.now() - entry.launchedAt) / 1000)
+      }))
+    };
   }
 
-  // Format kontrolü
-  const supportedFormats = ['jpeg', 'png', 'webp'];
-  if (!supportedFormats.includes(format)) {
-    return res.status(400).json({
-      error: 'Unsupported format',
-      supported: supportedFormats
+  async cleanup() {
+    // Bekleyenleri reddet ve tüm browser'ları kapat
+    this.closed = true;
+    this.waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new PoolBusyError('Browser pool is shutting down'));
+    });
+    const entries = this.entries.splice(0);
+    entries.forEach(entry => {
+      entry.retiring = true;
     });
+    await Promise.all(entries.map(entry => Promise.resolve(entry.ready)
+      .then(browser => browser.close())
+      .catch(console.error)));
   }
+}
 
-  // Quality kontrolü (sadece jpeg için)
-  if (format === 'jpeg' && (quality < 1 || quality > 100)) {
-    return res.status(400).json({
-      error: 'Quality must be between 1 and 100 for JPEG format'
+const browserPool = new BrowserPool({
+  maxBrowsers: BROWSER_POOL_SIZE,
+  maxPagesPerBrowser: BROWSER_MAX_PAGES,
+  recycleAfter: BROWSER_RECYCLE_AFTER,
+  queueLimit: BROWSER_QUEUE_LIMIT,
+  queueTimeoutMs: BROWSER_QUEUE_TIMEOUT_MS
+});
+
+// Browser havuzu metrikleri - değerler her okumada havuzun o anki durumundan alınır
+new promClient.Gauge({
+  name: `${METRICS_PREFIX}browser_pool_browsers`,
+  help: 'Browsers in the pool by state (idle, in_use, launching, retiring)',
+  labelNames: ['state'],
+  collect() {
+    const counts = { idle: 0, in_use: 0, launching: 0, retiring: 0 };
+    browserPool.stats().instances.forEach(instance => {
+      const state = instance.status === 'ready' ? (instance.pages > 0 ? 'in_use' : 'idle') : instance.status;
+      counts[state]++;
     });
+    Object.entries(counts).forEach(([state, count]) => this.set({ state }, count));
   }
+});
 
-  let browser = null;
+new promClient.Gauge({
+  name: `${METRICS_PREFIX}browser_pool_pages`,
+  help: 'Render pages by state: in_use, free (capacity left) and waiting (queued renders)',
+  labelNames: ['state'],
+  collect() {
+    const stats = browserPool.stats();
+    this.set({ state: 'in_use' }, stats.activePages);
+    this.set({ state: 'free' }, Math.max(0, stats.capacity - stats.activePages));
+    this.set({ state: 'waiting' }, stats.waiting);
+  }
+});
 
-  try {
-    console.log(`Screenshot request: lat=${lat}, lon=${lon}, zoom=${zoom}, ${width}x${height}, ${format}${wms ? `, WMS layers: ${wms.length}` : ''}${pin ? `, Pin: ${pin.text || 'No text'}` : ''}`);
-    
-    browser = await browserPool.getBrowser();
-    const page = await browser.newPage();
-    
-    await page.setViewport({ width: parseInt(width), height: parseInt(height) });
+new promClient.Counter({
+  name: `${METRICS_PREFIX}browser_pool_events_total`,
+  help: 'Browser pool events: launched, launch_failures, recycled, crashed, queue_timeouts, rejected',
+  labelNames: ['event'],
+  collect() {
+    const { totals } = browserPool.stats();
+    const events = {
+      launched: totals.launched,
+      launch_failures: totals.launchFailures,
+      recycled: totals.recycled,
+      crashed: totals.crashed,
+      queue_timeouts: totals.queueTimeouts,
+      rejected: totals.rejected
+    };
+    this.reset();
+    Object.entries(events).forEach(([event, count]) => this.inc({ event }, count));
+  }
+});
 
-    const html = generateHtml(lat, lon, zoom, wms, pin);
-    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+// URL güvenlik politikası (SSRF koruması) - virgülle ayrılmış listeler, host adı, *.alan ya da CIDR olabilir
+const URL_ALLOWED_SCHEMES = (process.env.URL_ALLOWED_SCHEMES || 'http,https').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+const URL_ALLOWED_HOSTS = (process.env.URL_ALLOWED_HOSTS || '').split(',').map(item => item.trim()).filter(Boolean);
+const URL_BLOCKED_HOSTS = (process.env.URL_BLOCKED_HOSTS || '').split(',').map(item => item.trim()).filter(Boolean);
+const URL_BLOCK_PRIVATE = process.env.URL_BLOCK_PRIVATE !== 'false';
+const URL_DNS_CACHE_MS = 60 * 1000;
 
-    // Tüm karolar yüklenene kadar bekle
-    await page.waitForFunction(
-      () => document.title === 'ready',
-      { timeout: 20000 } // 20 saniyeye kadar bekle
-    );
+// İç ağ, loopback, link-local (bulut metadata servisleri dahil) ve ayrılmış adres blokları
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+const PRIVATE_HOST_NAMES = ['localhost', '*.localhost', 'metadata', 'metadata.google.internal'];
 
-    // Ek güvenlik: biraz daha bekle ki render tamamen tamamlansın
-    await new Promise(resolve => setTimeout(resolve, 1000));
+// IPv6 adresini sekiz 16 bitlik gruba aç - sondaki noktalı IPv4 yazımı da desteklenir
+function expandIpv6(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = tail === undefined ? left : [...left, ...new Array(8 - left.length - right.length).fill('0'), ...right];
+  return groups.map(group => parseInt(group, 16));
+}
 
-    // Screenshot ayarları
-    const screenshotOptions = {
-      type: format,
-      fullPage: false
-    };
+// IPv6 adresine gömülü IPv4 adresi - NAT64 (64:ff9b::/96), 6to4 (2002::/16),
+// IPv4-compatible (::/96) ve IPv4-mapped (::ffff:0:0/96) biçimleri; yoksa null
+function embeddedIpv4(address) {
+  if (net.isIP(address) !== 6) {
+    return null;
+  }
+  const groups = expandIpv6(address);
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+  let high = null;
+  if (groups[0] === 0x2002) {
+    high = 1;
+  } else if ((groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) || zeros(0, 6) ||
+      (zeros(0, 5) && groups[5] === 0xffff)) {
+    high = 6;
+  }
+  if (high === null) {
+    return null;
+  }
+  return [groups[high] >> 8, groups[high] & 0xff, groups[high + 1] >> 8, groups[high + 1] & 0xff].join('.');
+}
+
+// URL Policy Error Class - Politika dışı adrese yapılan istekler
+class UrlPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UrlPolicyError';
+  }
+}
+
+// URL Policy Class - Sayfanın ve sunucunun erişebileceği adresleri sınırlama
+class UrlPolicy {
+  constructor({ allowedSchemes, allowedHosts, blockedHosts, blockPrivate }) {
+    this.allowedSchemes = allowedSchemes;
+    this.blockPrivate = blockPrivate;
+    this.allowed = this.parseHosts(allowedHosts, 'URL_ALLOWED_HOSTS');
+    this.blocked = this.parseHosts(blockedHosts, 'URL_BLOCKED_HOSTS');
+    this.restricted = allowedHosts.length > 0;
+
+    this.privateRanges = new net.BlockList();
+    PRIVATE_RANGES.forEach(([address, prefix, type]) => this.privateRanges.addSubnet(address, prefix, type));
+
+    this.lookups = new Map();
+  }
+
+  // Liste elemanlarını host adı kalıpları ve IP blokları olarak ayır - hatalı CIDR'da servis başlamaz
+  parseHosts(entries, name) {
+    const names = [];
+    const ranges = new net.BlockList();
+    entries.forEach(entry => {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIP(address);
+      if (type) {
+        const bits = prefix !== undefined ? parseInt(prefix) : (type === 4 ? 32 : 128);
+        if (!(bits >= 0 && bits <= (type === 4 ? 32 : 128))) {
+          throw new Error(`${name}: invalid CIDR ${entry}`);
+        }
+        ranges.addSubnet(address, bits, type === 4 ? 'ipv4' : 'ipv6');
+      } else {
+        names.push(entry.toLowerCase());
+      }
+    });
+    return { names, ranges };
+  }
+
+  matchesName(hostname, patterns) {
+    return patterns.some(pattern => pattern.startsWith('*.')
+      ? hostname.endsWith(pattern.slice(1))
+      : hostname === pattern);
+  }
+
+  matchesAddress(address, ranges) {
+    return ranges.check(address, net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // IPv6 içine gömülü IPv4 adresi de özel aralık listesinden geçer
+  isPrivate(address) {
+    const ipv4 = embeddedIpv4(address);
+    return this.matchesAddress(address, this.privateRanges) ||
+      (ipv4 !== null && this.matchesAddress(ipv4, this.privateRanges));
+  }
+
+  // Host adı ya da IP'nin karar nedeni - izinliyse null
+  checkAddress(address) {
+    if (this.matchesAddress(address, this.blocked.ranges)) {
+      return `address ${address} is blocked`;
+    }
+    if (this.matchesAddress(address, this.allowed.ranges)) {
+      return null;
+    }
+    if (this.restricted) {
+      return `address ${address} is not in the allowed hosts`;
+    }
+    if (this.blockPrivate && this.isPrivate(address)) {
+      return `address ${address} is in a private or reserved range`;
+    }
+    return null;
+  }
 
-    // Format'a göre kalite ayarı
-    if (format === 'jpeg') {
-      screenshotOptions.quality = parseInt(quality);
+  // Statik kontrol: şema, host adı ve IP adresli URL'ler - sorun varsa neden, yoksa null döner
+  check(url) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return 'is not a valid URL';
     }
 
-    const buffer = await page.screenshot(screenshotOptions);
+    const scheme = parsed.protocol.slice(0, -1);
+    if (!this.allowedSchemes.includes(scheme)) {
+      return `scheme ${scheme} is not allowed`;
+    }
 
-    await page.close();
-    browserPool.releaseBrowser(browser);
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(hostname)) {
+      return this.checkAddress(hostname);
+    }
+    if (this.matchesName(hostname, this.blocked.names)) {
+      return `host ${hostname} is blocked`;
+    }
+    if (this.matchesName(hostname, this.allowed.names)) {
+      return null;
+    }
+    // İzin listesinde sadece CIDR'lar varsa karar DNS çözümlemesinden sonra verilir
+    if (this.restricted && this.allowed.ranges.rules.length === 0) {
+      return `host ${hostname} is not in the allowed hosts`;
+    }
+    if (this.blockPrivate && this.matchesName(hostname, PRIVATE_HOST_NAMES)) {
+      return `host ${hostname} is a private host name`;
+    }
+    return null;
+  }
 
-    console.log(`Screenshot generated successfully: ${buffer.length} bytes`);
-    
-    res.set('Content-Type', `image/${format}`);
-    res.set('Content-Length', buffer.length.toString());
-    res.send(buffer);
+  // İstek anındaki kontrol: host adı çözülür, her adres politikadan geçmeli
+  async checkResolved(url) {
+    const problem = this.check(url);
+    if (problem) {
+      return problem;
+    }
 
-  } catch (err) {
-    console.error('Screenshot Error:', err);
-    
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeErr) {
-        console.error('Error closing browser:', closeErr);
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(hostname) || this.matchesName(hostname, this.allowed.names)) {
+      return null;
+    }
+
+    const addresses = await this.lookup(hostname);
+    if (this.restricted && addresses.length === 0) {
+      return `host ${hostname} is not in the allowed hosts`;
+    }
+    for (const address of addresses) {
+      const reason = this.checkAddress(address);
+      if (reason) {
+        return `host ${hostname} resolves to a disallowed address (${reason})`;
       }
     }
-    
-    res.status(500).json({
-      error: 'Error generating screenshot',
-      message: err.message
-    });
+    return null;
   }
-});
 
-// Debug: HTML preview endpoint
-app.post('/preview-html', (req, res) => {
-  const { lat, lon, zoom, wms = null, pin = null } = req.body;
-  
-  if (!lat || !lon || !zoom) {
-    return res.status(400).json({
-      error: 'lat, lon, and zoom are required'
-    });
+  // Çözülemeyen host'lar izin listesi yoksa engellenmez, istek zaten başarısız olur
+  async lookup(hostname) {
+    const cached = this.lookups.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.addresses;
+    }
+
+    let addresses = [];
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(item => item.address);
+    } catch (err) {
+      addresses = [];
+    }
+
+    if (this.lookups.size >= 1000) {
+      this.lookups.clear();
+    }
+    this.lookups.set(hostname, { addresses, expiresAt: Date.now() + URL_DNS_CACHE_MS });
+    return addresses;
   }
-  
-  const html = generateHtml(lat, lon, zoom, wms, pin);
-  res.set('Content-Type', 'text/html');
-  res.send(html);
+}
+
+const urlPolicy = new UrlPolicy({
+  allowedSchemes: URL_ALLOWED_SCHEMES,
+  allowedHosts: URL_ALLOWED_HOSTS,
+  blockedHosts: URL_BLOCKED_HOSTS,
+  blockPrivate: URL_BLOCK_PRIVATE
 });
 
-// API Usage Info Endpoint
-app.get('/api-info', (req, res) => {
-  res.json({
-    service: 'Map Screenshot API',
-    version: '1.1.0',
-        endpoints: {
-      'GET /screenshot': {
-        description: 'Generate map screenshot with URL parameters',
-        parameters: {
-          lat: 'number (required) - Latitude between -90 and 90',
-          lon: 'number (required) - Longitude between -180 and 180', 
-          zoom: 'number (required) - Zoom level between 1 and 20',
-          width: 'number (optional) - Image width between 100 and 2000, default: 640',
-          height: 'number (optional) - Image height between 100 and 2000, default: 480',
-          format: 'string (optional) - Image format: jpeg, png, webp, default: jpeg',
-          quality: 'number (optional) - JPEG quality between 1 and 100, default: 70'
-        },
-        example: '/screenshot?lat=41.0082&lon=28.9784&zoom=15&width=800&height=600&format=png'
-      },
-      'POST /screenshot': {
-        description: 'Generate map screenshot with JSON body (supports WMS layers)',
+// Şablon url'lerdeki yer tutucular ({z}, {a-c} gibi) politika kontrolü için nötr değerle değiştirilir
+function checkTemplateUrl(url) {
+  return urlPolicy.check(String(url).replace(/\{[^}]*\}/g, '0'));
+}
+
+// Şablonlu adresin host adı - yer tutucular doğrulamadaki gibi doldurulur, adres çözülemezse null
+function templateUrlHostname(url) {
+  try {
+    return new URL(String(url).replace(/\{[^}]*\}/g, '0')).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Tile cache ayarları - TILE_CACHE_MAX_MB=0 tile proxy'yi tamamen kapatır
+const TILE_CACHE_MAX_BYTES = (process.env.TILE_CACHE_MAX_MB !== undefined
+  ? parseFloat(process.env.TILE_CACHE_MAX_MB)
+  : 200) * 1024 * 1024;
+const TILE_CACHE_TTL_MS = (parseInt(process.env.TILE_CACHE_TTL_SECONDS) || 24 * 60 * 60) * 1000;
+const TILE_CACHE_DIR = process.env.TILE_CACHE_DIR || null;
+const TILE_CACHE_DISK_MAX_BYTES = (parseFloat(process.env.TILE_CACHE_DISK_MAX_MB) || 1024) * 1024 * 1024;
+// Önceden doldurulmuş, salt okunur tile dizini (hava boşluklu kurulumlar için)
+const TILE_SEED_DIR = process.env.TILE_SEED_DIR || null;
+// Offline modda internete çıkılmaz, sadece cache ve seed dizinindeki tile'lar sunulur
+const TILE_OFFLINE = process.env.TILE_OFFLINE === 'true';
+const TILE_FETCH_TIMEOUT_MS = 15000;
+const TILE_MAX_REDIRECTS = 3;
+
+// Dosyadan okunan tile'ın içerik tipini ilk baytlarından ya da uzantısından bul
+function detectTileContentType(buffer, filePath) {
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return 'image/png';
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return 'image/jpeg';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return 'image/gif';
+  }
+  if (/\.(pbf|mvt)$/.test(filePath)) {
+    return 'application/x-protobuf';
+  }
+  return 'application/octet-stream';
+}
+
+// Yüzde kodlu yolu çöz - bozuk kodlamada (tek başına % gibi) yol olduğu gibi kullanılır
+function decodePathname(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch (err) {
+    return pathname;
+  }
+}
+
+// Tile Cache Class - Sayfanın tile isteklerini sunucu tarafında cache'leyerek karşılama
+class TileCache {
+  constructor({ maxBytes, ttlMs, diskDir, diskMaxBytes, seedDir, offline, checkUrl }) {
+    this.maxBytes = maxBytes;
+    // Yönlendirme hedefleri için URL kontrolü - sorun varsa neden döndürür
+    this.checkUrl = checkUrl;
+    this.ttlMs = ttlMs;
+    this.diskDir = diskDir;
+    this.diskMaxBytes = diskMaxBytes;
+    this.seedDir = seedDir;
+    this.offline = offline;
+    // Bellek katmanı - Map ekleme sırasını korur, en eski eleman LRU'dur
+    this.entries = new Map();
+    this.bytes = 0;
+    // Disk katmanı dosya indeksi - boyut sınırı için
+    this.diskFiles = new Map();
+    this.diskBytes = 0;
+    this.inflight = new Map();
+    this.counters = { memoryHits: 0, diskHits: 0, seedHits: 0, upstream: 0, upstreamErrors: 0, offlineMisses: 0 };
+
+    if (this.enabled && this.diskDir) {
+      fs.mkdirSync(this.diskDir, { recursive: true });
+      this.indexDisk(this.diskDir).catch(err => console.error('Tile cache index error:', err.message));
+    }
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  // Tile'ı cache katmanlarından ya da kaynağından getir - { status, contentType, body } döndürür
+  async fetch(url, headers, variant = '') {
+    const key = variant ? `${url}#${variant}` : url;
+
+    const memoryEntry = this.entries.get(key);
+    if (memoryEntry && Date.now() - memoryEntry.createdAt < this.ttlMs) {
+      this.entries.delete(key);
+      this.entries.set(key, memoryEntry);
+      this.counters.memoryHits++;
+      return memoryEntry;
+    }
+
+    // Seed dizinindeki tile'ların süresi dolmaz
+    const seeded = await this.readFile(this.seedDir, url, variant, Infinity);
+    if (seeded) {
+      this.counters.seedHits++;
+      this.store(key, seeded);
+      return seeded;
+    }
+
+    const fromDisk = await this.readFile(this.diskDir, url, variant, this.ttlMs);
+    if (fromDisk) {
+      this.counters.diskHits++;
+      this.store(key, fromDisk);
+      return fromDisk;
+    }
+
+    if (this.offline) {
+      this.counters.offlineMisses++;
+      return { status: 404, contentType: 'text/plain', body: Buffer.from('Tile not available offline') };
+    }
+
+    // Aynı tile'ı isteyen eşzamanlı sayfalar tek isteği bekler
+    if (!this.inflight.has(key)) {
+      const request = this.fetchUpstream(url, headers, variant, key);
+      this.inflight.set(key, request);
+      request.finally(() => this.inflight.delete(key)).catch(() => {});
+    }
+    return this.inflight.get(key);
+  }
+
+  async fetchUpstream(url, headers, variant, key) {
+    this.counters.upstream++;
+    try {
+      // Yönlendirmeler elle izlenir, her hedef URL politikasından geçer
+      let target = url;
+      let response = null;
+      for (let hop = 0; ; hop++) {
+        response = await fetch(target, {
+          headers,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(TILE_FETCH_TIMEOUT_MS)
+        });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location || hop >= TILE_MAX_REDIRECTS) {
+          break;
+        }
+        target = new URL(location, target).href;
+        const problem = this.checkUrl ? await this.checkUrl(target) : null;
+        if (problem) {
+          throw new UrlPolicyError(`Redirect to ${target} blocked: ${problem}`);
+        }
+      }
+      const tile = {
+        status: response.status,
+        contentType: response.headers.get('content-type') || 'application/octet-stream',
+        body: Buffer.from(await response.arrayBuffer()),
+        createdAt: Date.now()
+      };
+
+      // Sadece başarılı yanıtlar cache'lenir
+      if (response.ok) {
+        this.store(key, tile);
+        await this.writeFile(url, variant, tile.body);
+      } else {
+        this.counters.upstreamErrors++;
+      }
+      return tile;
+    } catch (err) {
+      this.counters.upstreamErrors++;
+      throw err;
+    }
+  }
+
+  store(key, tile) {
+    if (tile.body.length > this.maxBytes) {
+      return;
+    }
+
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.bytes -= existing.body.length;
+      this.entries.delete(key);
+    }
+    const entry = { ...tile, createdAt: tile.createdAt || Date.now() };
+    this.entries.set(key, entry);
+    this.bytes += entry.body.length;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.bytes -= oldest.body.length;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  // Diskte host/yol yapısı kullanılır, böylece z/x/y dökümleri seed olarak doğrudan okunabilir.
+  // Sorgu parametreli (WMS gibi) ya da özel başlıklı istekler için dosya adına hash eklenir.
+  filePath(baseDir, url, variant) {
+    const parsed = new URL(url);
+    const pathname = decodePathname(parsed.pathname).replace(/\/$/, '/index');
+    const suffix = parsed.search || variant
+      ? `__${crypto.createHash('sha1').update(parsed.search + variant).digest('hex').slice(0, 16)}`
+      : '';
+    const root = path.resolve(baseDir);
+    const fullPath = path.resolve(root, `${parsed.hostname}${pathname}${suffix}`);
+
+    // '..' ile cache dizini dışına çıkılamaz
+    return fullPath.startsWith(root + path.sep) ? fullPath : null;
+  }
+
+  async readFile(baseDir, url, variant, ttlMs) {
+    if (!baseDir) {
+      return null;
+    }
+
+    const filePath = this.filePath(baseDir, url, variant);
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (!stat.isFile() || Date.now() - stat.mtimeMs >= ttlMs) {
+        return null;
+      }
+      const body = await fs.promises.readFile(filePath);
+      return { status: 200, contentType: detectTileContentType(body, filePath), body, createdAt: Date.now() };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async writeFile(url, variant, body) {
+    if (!this.diskDir) {
+      return;
+    }
+
+    const filePath = this.filePath(this.diskDir, url, variant);
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      this.trackDiskFile(filePath, body.length, Date.now());
+      await this.enforceDiskLimit();
+    } catch (err) {
+      console.error('Tile cache disk write error:', err.message);
+    }
+  }
+
+  trackDiskFile(filePath, size, mtimeMs) {
+    const previous = this.diskFiles.get(filePath);
+    if (previous) {
+      this.diskBytes -= previous.size;
+    }
+    this.diskFiles.set(filePath, { size, mtimeMs });
+    this.diskBytes += size;
+  }
+
+  // Başlangıçta mevcut disk cache'ini indeksle
+  async indexDisk(directory) {
+    const items = await fs.promises.readdir(directory, { withFileTypes: true });
+    for (const item of items) {
+      const itemPath = path.join(directory, item.name);
+      if (item.isDirectory()) {
+        await this.indexDisk(itemPath);
+      } else if (item.isFile()) {
+        const stat = await fs.promises.stat(itemPath);
+        this.trackDiskFile(itemPath, stat.size, stat.mtimeMs);
+      }
+    }
+    await this.enforceDiskLimit();
+  }
+
+  // Disk sınırı aşıldıysa en eski dosyaları sil
+  async enforceDiskLimit() {
+    if (this.diskBytes <= this.diskMaxBytes) {
+      return;
+    }
+
+    const oldestFirst = [...this.diskFiles.entries()].sort((a, b) => a[1].mtimeMs - b[1].mtimeMs);
+    for (const [filePath, { size }] of oldestFirst) {
+      if (this.diskBytes <= this.diskMaxBytes * 0.9) {
+        break;
+      }
+      this.diskFiles.delete(filePath);
+      this.diskBytes -= size;
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      offline: this.offline,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      diskBytes: this.diskBytes,
+      diskMaxBytes: this.diskDir ? this.diskMaxBytes : 0,
+      seeded: Boolean(this.seedDir),
+      ...this.counters
+    };
+  }
+}
+
+const tileCache = new TileCache({
+  maxBytes: TILE_CACHE_MAX_BYTES,
+  ttlMs: TILE_CACHE_TTL_MS,
+  diskDir: TILE_CACHE_DIR,
+  diskMaxBytes: TILE_CACHE_DISK_MAX_BYTES,
+  seedDir: TILE_SEED_DIR,
+  offline: TILE_OFFLINE,
+  checkUrl: url => urlPolicy.checkResolved(url)
+});
+
+// OpenLayers sayfaya CDN yerine yerelden verilir - sürüm package.json'daki ol bağımlılığından gelir
+// proj4 sadece özel projeksiyonlu sayfalarda yüklenir
+// Dosya adı istemciden geldiği için Map kullanılır (__proto__, constructor gibi adlar eşleşmez)
+const OL_VERSION = require('ol/package.json').version;
+const OL_ASSETS = new Map([
+  ['ol.js', { contentType: 'application/javascript', body: fs.readFileSync(require.resolve('ol/dist/ol.js')) }],
+  ['ol.css', { contentType: 'text/css', body: fs.readFileSync(require.resolve('ol/ol.css')) }],
+  ['proj4.js', { contentType: 'application/javascript', body: fs.readFileSync(require.resolve('proj4/dist/proj4.js')) }],
+  // Sayfa renderer'ı - render spec'ini okuyup haritayı kuran sabit istemci kodu
+  ['renderer.js', { contentType: 'application/javascript', body: Buffer.from(`${renderMap.toString()}\n`) }]
+]);
+// Render sayfasındaki asset'ler bu sahte origin'den istenir ve istek yakalama ile bellekten sunulur
+// (.invalid alan adı hiçbir zaman çözülmez, istek dışarı sızamaz)
+const PAGE_ASSET_ORIGIN = 'http://map-screenshot-assets.invalid';
+
+// Sayfa başına istek yakalama durumu - aynı sayfa birden fazla render'da kullanılabilir
+const pageRequestStates = new WeakMap();
+
+// Tile olarak proxy'lenecek istekler: raster tile'lar image, vector tile'lar fetch/xhr olarak gelir
+function isTileRequest(request) {
+  return /^https?:/.test(request.url()) && ['image', 'fetch', 'xhr'].includes(request.resourceType());
+}
+
+// Sayfanın isteklerini yakala: overlay başlıklarını ekle ve tile'ları cache üzerinden sun
+async function preparePageRequests(page, layers) {
+  // Şablon url'lerde ilk yer tutucuya kadar olan kısım eşleştirilir
+  const headerRules = layers
+    .filter(layer => layer.headers && Object.keys(layer.headers).length > 0)
+    .map(layer => ({ prefix: layer.url.split(/[?{]/)[0], headers: layer.headers }));
+
+  // Listener sayfaya bir kez eklenir, sonraki renderlarda sadece kurallar değişir
+  const state = pageRequestStates.get(page);
+  if (state) {
+    state.headerRules = headerRules;
+    state.blocked = [];
+    return;
+  }
+  pageRequestStates.set(page, { headerRules, blocked: [] });
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    handlePageRequest(page, request).catch(err => {
+      console.error('Request interception error:', err.message);
+      request.abort('failed').catch(() => {});
+    });
+  });
+}
+
+async function handlePageRequest(page, request) {
+  // OpenLayers dosyaları bellekten verilir
+  if (request.url().startsWith(`${PAGE_ASSET_ORIGIN}/vendor/ol/`)) {
+    const asset = OL_ASSETS.get(request.url().slice(`${PAGE_ASSET_ORIGIN}/vendor/ol/`.length));
+    return asset
+      ? request.respond({ status: 200, contentType: asset.contentType, body: asset.body })
+      : request.respond({ status: 404, contentType: 'text/plain', body: 'Not found' });
+  }
+
+  // URL politikası - iç ağ adreslerine ve izin verilmeyen host'lara giden istekler engellenir
+  const state = pageRequestStates.get(page);
+  const problem = await urlPolicy.checkResolved(request.url());
+  if (problem) {
+    state.blocked.push({ url: request.url(), reason: problem });
+    return request.abort('blockedbyclient');
+  }
+
+  const { headerRules } = state;
+  const rule = headerRules.find(item => request.url().startsWith(item.prefix));
+  const headers = rule ? { ...request.headers(), ...rule.headers } : request.headers();
+
+  if (!tileCache.enabled || !isTileRequest(request)) {
+    return request.continue(rule ? { headers } : undefined);
+  }
+
+  // Özel başlıklı katmanlar (ör. farklı yetkiler) ayrı cache kaydı kullanır
+  const variant = rule ? crypto.createHash('sha1').update(JSON.stringify(rule.headers)).digest('hex') : '';
+
+  let tile = null;
+  try {
+    tile = await tileCache.fetch(request.url(), headers, variant);
+  } catch (err) {
+    if (err instanceof UrlPolicyError) {
+      state.blocked.push({ url: request.url(), reason: err.message });
+      return request.abort('blockedbyclient');
+    }
+    return request.abort('failed');
+  }
+
+  return request.respond({
+    status: tile.status,
+    contentType: tile.contentType,
+    // Vector tile'lar XHR ile yüklendiği için CORS izni gerekir
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: tile.body
+  });
+}
+
+// Web Mercator'un gösterebildiği en büyük enlem
+const MAX_MERCATOR_LAT = 85.0511;
+
+// Sayfaya gömülecek değerleri JSON olarak yaz - '<' kaçışlanır ki </script> ile sayfadan çıkılamasın
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Overlay katman seçenekleri - wms dizisi ve overlays dizisi toplamda bu sınırı aşamaz
+const MAX_WMS_LAYERS = 5;
+const OVERLAY_TYPES = ['wms', 'wmts', 'xyz', 'mvt'];
+const WMTS_REQUEST_ENCODINGS = ['KVP', 'REST'];
+const WMS_VERSIONS = ['1.1.1', '1.3.0'];
+const WMS_FORMATS = ['image/png', 'image/png8', 'image/jpeg', 'image/gif'];
+const WMS_SERVER_TYPES = ['geoserver', 'mapserver', 'qgis'];
+// Kendi alanı olan parametreler params içinde tekrar verilemez
+const WMS_RESERVED_PARAMS = ['LAYERS', 'STYLES', 'VERSION', 'FORMAT', 'CQL_FILTER', 'TIME', 'TILED'];
+// Tarayıcının kendisinin yönettiği başlıklar ezilemez
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding'];
+
+// WMS katmanı için OpenLayers params nesnesini oluştur
+function buildWmsParams(wmsLayer) {
+  const params = {
+    'LAYERS': wmsLayer.layers,
+    'STYLES': wmsLayer.styles || '',
+    'VERSION': wmsLayer.version || '1.1.1',
+    'FORMAT': wmsLayer.format || 'image/png',
+    'TRANSPARENT': true,
+    ...(wmsLayer.params || {})
+  };
+
+  if (wmsLayer.tiled !== false) {
+    params.TILED = true;
+  }
+  if (wmsLayer.cql_filter) {
+    params.CQL_FILTER = wmsLayer.cql_filter;
+  }
+  if (wmsLayer.time) {
+    params.TIME = wmsLayer.time;
+  }
+
+  return params;
+}
+
+// Tüm overlay tiplerinde ortak alanlar: url, opacity, headers
+function validateCommonLayerFields(layer, prefix) {
+  const errors = [];
+
+  if (!layer.url || typeof layer.url !== 'string') {
+    errors.push(`${prefix} URL is required and must be a string`);
+  }
+  if (layer.opacity !== undefined && (typeof layer.opacity !== 'number' || layer.opacity < 0 || layer.opacity > 1)) {
+    errors.push(`${prefix} opacity must be a number between 0 and 1`);
+  }
+
+  // Katmana özel HTTP başlıkları - istek yakalama ile eklenir
+  if (layer.headers !== undefined) {
+    if (!layer.headers || typeof layer.headers !== 'object' || Array.isArray(layer.headers)) {
+      errors.push(`${prefix} headers must be an object`);
+    } else {
+      const entries = Object.entries(layer.headers);
+      if (entries.length > 10) {
+        errors.push(`${prefix} headers cannot have more than 10 entries`);
+      }
+      entries.forEach(([name, value]) => {
+        if (!/^[A-Za-z0-9-]+$/.test(name) || FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+          errors.push(`${prefix} header "${name}" is not allowed`);
+        }
+        if (typeof value !== 'string' || value.length > 1000) {
+          errors.push(`${prefix} header "${name}" must be a string of at most 1000 characters`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// XYZ ve MVT url şablonları {z}/{x}/{y} içermeli
+function validateTileTemplate(layer, prefix) {
+  const errors = [];
+
+  if (typeof layer.url === 'string' && (!['{z}', '{x}'].every(token => layer.url.includes(token)) || !/\{-?y\}/.test(layer.url))) {
+    errors.push(`${prefix} url must contain {z}, {x} and {y} (or {-y}) placeholders`);
+  }
+  if (layer.maxZoom !== undefined && (typeof layer.maxZoom !== 'number' || layer.maxZoom < 0 || layer.maxZoom > 24)) {
+    errors.push(`${prefix} maxZoom must be a number between 0 and 24`);
+  }
+  if (layer.tilePixelRatio !== undefined && !isValidTilePixelRatio(layer.tilePixelRatio)) {
+    errors.push(`${prefix} tilePixelRatio must be a number between 1 and ${MAX_SCALE}`);
+  }
+
+  return errors;
+}
+
+// Yüksek çözünürlük ayarları - piksel bütçesi width * height * scale² için geçerlidir
+const MAX_SCALE = 4;
+const MAX_RENDER_PIXELS = 4096 * 4096;
+
+// Mozaik ayarları - büyük çıktılar sayfa boyutunda parçalar halinde render edilip birleştirilir
+const MAX_VIEWPORT_SIZE = 2000;
+const MOSAIC_TILE_SIZE = 1000;
+const MAX_MOSAIC_SIZE = 10000;
+const MAX_MOSAIC_PIXELS = 50 * 1000 * 1000;
+const MOSAIC_FORMATS = ['png', 'geotiff'];
+const MOSAIC_CONCURRENCY = parseInt(process.env.MOSAIC_CONCURRENCY) || 1;
+const MOSAIC_MEMORY_BYTES = (parseInt(process.env.MOSAIC_MEMORY_MB) || 512) * 1024 * 1024;
+const MOSAIC_QUEUE_LIMIT = parseInt(process.env.MOSAIC_QUEUE_LIMIT) || 10;
+
+// World file uzantıları - görüntü formatına göre
+const WORLD_FILE_EXTENSIONS = { png: 'pgw', jpeg: 'jgw' };
+
+function isValidTilePixelRatio(value) {
+  return typeof value === 'number' && value >= 1 && value <= MAX_SCALE;
+}
+
+// XYZ adresini piksel oranına göre hazırla - {r} yer tutucusu retina (@2x) tile'lara çevrilir
+function resolveTileUrl(layer, pixelRatio) {
+  if (layer.url.includes('{r}')) {
+    const retina = pixelRatio >= 2;
+    return { url: layer.url.replace('{r}', retina ? '@2x' : ''), tilePixelRatio: retina ? 2 : 1 };
+  }
+  return { url: layer.url, tilePixelRatio: layer.tilePixelRatio || 1 };
+}
+
+// Tek bir WMS katmanının alanlarını kontrol et
+function validateWmsLayer(layer, prefix) {
+  if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const errors = validateCommonLayerFields(layer, prefix);
+
+  if (!layer.layers || typeof layer.layers !== 'string') {
+    errors.push(`${prefix} layers parameter is required and must be a string`);
+  }
+  if (layer.styles !== undefined && (typeof layer.styles !== 'string' || layer.styles.length > 500)) {
+    errors.push(`${prefix} styles must be a string of at most 500 characters`);
+  }
+  if (layer.version !== undefined && !WMS_VERSIONS.includes(layer.version)) {
+    errors.push(`${prefix} version must be one of: ${WMS_VERSIONS.join(', ')}`);
+  }
+  if (layer.format !== undefined && !WMS_FORMATS.includes(layer.format)) {
+    errors.push(`${prefix} format must be one of: ${WMS_FORMATS.join(', ')}`);
+  }
+  if (layer.cql_filter !== undefined && (typeof layer.cql_filter !== 'string' || layer.cql_filter.length > 2000)) {
+    errors.push(`${prefix} cql_filter must be a string of at most 2000 characters`);
+  }
+  if (layer.time !== undefined && (typeof layer.time !== 'string' || layer.time.length > 200)) {
+    errors.push(`${prefix} time must be a string of at most 200 characters`);
+  }
+  if (layer.serverType !== undefined && !WMS_SERVER_TYPES.includes(layer.serverType)) {
+    errors.push(`${prefix} serverType must be one of: ${WMS_SERVER_TYPES.join(', ')}`);
+  }
+  if (layer.tiled !== undefined && typeof layer.tiled !== 'boolean') {
+    errors.push(`${prefix} tiled must be a boolean`);
+  }
+
+  // Ek WMS parametreleri - düz anahtar/değer çiftleri
+  if (layer.params !== undefined) {
+    if (!layer.params || typeof layer.params !== 'object' || Array.isArray(layer.params)) {
+      errors.push(`${prefix} params must be an object`);
+    } else {
+      const entries = Object.entries(layer.params);
+      if (entries.length > 20) {
+        errors.push(`${prefix} params cannot have more than 20 entries`);
+      }
+      entries.forEach(([key, value]) => {
+        if (!/^[A-Za-z0-9_]+$/.test(key)) {
+          errors.push(`${prefix} params key "${key}" may only contain letters, digits and underscores`);
+        } else if (WMS_RESERVED_PARAMS.includes(key.toUpperCase())) {
+          errors.push(`${prefix} params cannot set ${key.toUpperCase()}, use the dedicated field instead`);
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          errors.push(`${prefix} params value for "${key}" must be a string, number or boolean`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// overlays dizisindeki bir katmanı tipine göre kontrol et
+function validateOverlayLayer(layer, index) {
+  const prefix = `Overlay ${index + 1}:`;
+
+  if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const type = layer.type || 'wms';
+  if (!OVERLAY_TYPES.includes(type)) {
+    return [`${prefix} type must be one of: ${OVERLAY_TYPES.join(', ')}`];
+  }
+  if (type === 'wms') {
+    return validateWmsLayer(layer, prefix);
+  }
+
+  const errors = validateCommonLayerFields(layer, prefix);
+
+  if (type === 'wmts') {
+    if (!layer.layer || typeof layer.layer !== 'string') {
+      errors.push(`${prefix} layer is required and must be a string`);
+    }
+    if (!layer.matrixSet || typeof layer.matrixSet !== 'string') {
+      errors.push(`${prefix} matrixSet is required and must be a string`);
+    }
+    if (layer.style !== undefined && typeof layer.style !== 'string') {
+      errors.push(`${prefix} style must be a string`);
+    }
+    if (layer.format !== undefined && !WMS_FORMATS.includes(layer.format)) {
+      errors.push(`${prefix} format must be one of: ${WMS_FORMATS.join(', ')}`);
+    }
+    if (layer.requestEncoding !== undefined && !WMTS_REQUEST_ENCODINGS.includes(layer.requestEncoding)) {
+      errors.push(`${prefix} requestEncoding must be one of: ${WMTS_REQUEST_ENCODINGS.join(', ')}`);
+    }
+    if (layer.matrixIdPrefix !== undefined && (typeof layer.matrixIdPrefix !== 'string' || layer.matrixIdPrefix.length > 100)) {
+      errors.push(`${prefix} matrixIdPrefix must be a string of at most 100 characters`);
+    }
+    if (layer.maxZoom !== undefined && (typeof layer.maxZoom !== 'number' || layer.maxZoom < 0 || layer.maxZoom > 24)) {
+      errors.push(`${prefix} maxZoom must be a number between 0 and 24`);
+    }
+  }
+
+  if (type === 'xyz') {
+    errors.push(...validateTileTemplate(layer, prefix));
+  }
+
+  if (type === 'mvt') {
+    errors.push(...validateTileTemplate(layer, prefix));
+
+    // Basit stil tanımı: varsayılan stil + kaynak katman adına göre stiller
+    if (layer.style !== undefined) {
+      if (!layer.style || typeof layer.style !== 'object' || Array.isArray(layer.style)) {
+        errors.push(`${prefix} style must be an object`);
+      } else {
+        errors.push(...validateGeojsonStyle(layer.style, `${prefix} style`));
+      }
+    }
+    if (layer.layerStyles !== undefined) {
+      if (!layer.layerStyles || typeof layer.layerStyles !== 'object' || Array.isArray(layer.layerStyles)) {
+        errors.push(`${prefix} layerStyles must be an object keyed by source layer name`);
+      } else {
+        Object.entries(layer.layerStyles).forEach(([name, style]) => {
+          if (!style || typeof style !== 'object' || Array.isArray(style)) {
+            errors.push(`${prefix} layerStyles.${name} must be an object`);
+          } else {
+            errors.push(...validateGeojsonStyle(style, `${prefix} layerStyles.${name}`));
+          }
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// wms ve overlays dizilerini tek bir katman listesinde birleştir - wms öğeleri her zaman WMS'dir
+function collectOverlays(wms, overlays) {
+  return [
+    ...(wms || []).map(layer => ({ ...layer, type: 'wms' })),
+    ...(overlays || []).map(layer => ({ ...layer, type: layer.type || 'wms' }))
+  ];
+}
+
+// WMS katmanının her alt katmanı için GetLegendGraphic adresi
+function buildLegendGraphicUrls(wmsLayer) {
+  const styles = (wmsLayer.styles || '').split(',');
+  return wmsLayer.layers.split(',').map((layerName, index) => {
+    const params = new URLSearchParams({
+      SERVICE: 'WMS',
+      REQUEST: 'GetLegendGraphic',
+      VERSION: '1.1.1',
+      FORMAT: 'image/png',
+      LAYER: layerName.trim()
+    });
+    if (styles[index]) {
+      params.set('STYLE', styles[index].trim());
+    }
+    return `${wmsLayer.url}${wmsLayer.url.includes('?') ? '&' : '?'}${params}`;
+  });
+}
+
+// İstekteki süslemeleri sayfada kullanılacak düz yapılandırmaya çevir
+function buildDecorationsConfig(decorations, { baseConfig, overlayLayers, timestampText = null }) {
+  if (!decorations) {
+    return null;
+  }
+
+  const pick = name => {
+    const value = decorations[name];
+    return value === true ? {} : (value && typeof value === 'object' ? value : null);
+  };
+  const config = {};
+
+  const scaleLine = pick('scaleLine');
+  if (scaleLine) {
+    config.scaleLine = { position: scaleLine.position || 'bottom-left', units: scaleLine.units || 'metric' };
+  }
+
+  const northArrow = pick('northArrow');
+  if (northArrow) {
+    config.northArrow = { position: 'top-right', size: 40, color: '#222222', background: 'rgba(255, 255, 255, 0.8)', ...northArrow };
+  }
+
+  const title = pick('title');
+  if (title) {
+    config.title = { position: 'top', color: '#FFFFFF', background: 'rgba(0, 0, 0, 0.7)', fontSize: 20, ...title };
+  }
+
+  const legend = pick('legend');
+  if (legend) {
+    const wmsImages = legend.wms === true
+      ? overlayLayers.filter(overlay => overlay.type === 'wms').flatMap(buildLegendGraphicUrls)
+      : [];
+    config.legend = {
+      position: 'bottom-right',
+      color: '#222222',
+      background: 'rgba(255, 255, 255, 0.9)',
+      fontSize: 12,
+      ...legend,
+      items: legend.items || [],
+      images: wmsImages
+    };
+  }
+
+  const attribution = pick('attribution');
+  if (attribution) {
+    // Metin verilmediyse altlık haritanın atfı kullanılır (OSM lisansı bunu gerektirir)
+    const text = attribution.text || (baseConfig ? baseConfig.attribution : '');
+    config.attribution = { position: 'bottom-right', color: '#333333', background: 'rgba(255, 255, 255, 0.75)', fontSize: 10, ...attribution, text };
+  }
+
+  // Animasyon karelerinde zaman damgası render anını değil karenin TIME değerini gösterir
+  const timestamp = pick('timestamp');
+  if (timestamp) {
+    config.timestamp = {
+      position: 'bottom-left',
+      color: '#333333',
+      background: 'rgba(255, 255, 255, 0.75)',
+      fontSize: 11,
+      ...timestamp,
+      text: timestampText || formatTimestamp(timestamp, new Date())
+    };
+  }
+
+  return config;
+}
+
+// Zaman damgası metni - süslemenin locale, timeZone ve prefix ayarlarıyla
+function formatTimestamp(timestamp, date) {
+  const formatted = new Intl.DateTimeFormat(timestamp.locale || 'en-GB', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: timestamp.timeZone || 'UTC'
+  }).format(date);
+  return `${timestamp.prefix ? `${timestamp.prefix} ` : ''}${formatted} (${timestamp.timeZone || 'UTC'})`;
+}
+
+// Hazır altlık haritalar - özel XYZ altlıklar da aynı alanları kullanır
+const BASEMAP_PRESETS = {
+  osm: {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 19
+  },
+  grayscale: {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 19,
+    grayscale: true
+  },
+  satellite: {
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    maxZoom: 19
+  }
+};
+
+// basemap parametresini XYZ ayarına çevir - 'none' için null döner
+function resolveBasemap(basemap) {
+  if (basemap === 'none') {
+    return null;
+  }
+  if (!basemap) {
+    return BASEMAP_PRESETS.osm;
+  }
+  if (typeof basemap === 'string') {
+    return BASEMAP_PRESETS[basemap];
+  }
+  return {
+    url: basemap.url,
+    attribution: basemap.attribution || '',
+    maxZoom: basemap.maxZoom !== undefined ? basemap.maxZoom : 19,
+    grayscale: basemap.grayscale === true,
+    tilePixelRatio: basemap.tilePixelRatio
+  };
+}
+
+// GeoJSON ve vector tile katmanları için varsayılan stil
+const VECTOR_STYLE_DEFAULTS = {
+  fill: 'rgba(255, 0, 0, 0.3)',
+  stroke: '#FF0000',
+  width: 2,
+  radius: 6,
+  textSize: 14
+};
+
+// Tek istekte çizilebilecek en fazla pin sayısı
+const MAX_PINS = 100;
+const PIN_TYPES = ['circle', 'square', 'triangle', 'star', 'diamond'];
+
+// Tek bir pin nesnesinin alanlarını kontrol et - prefix hata mesajının başına eklenir
+function validatePin(pin, prefix) {
+  const errors = [];
+
+  if (pin.lat !== undefined && (!Number.isFinite(pin.lat) || pin.lat < -90 || pin.lat > 90)) {
+    errors.push(`${prefix} latitude must be a number between -90 and 90`);
+  }
+  if (pin.lon !== undefined && (!Number.isFinite(pin.lon) || pin.lon < -180 || pin.lon > 180)) {
+    errors.push(`${prefix} longitude must be a number between -180 and 180`);
+  }
+  if (pin.text && typeof pin.text !== 'string') {
+    errors.push(`${prefix} text must be a string`);
+  }
+  if (pin.text && pin.text.length > 50) {
+    errors.push(`${prefix} text cannot exceed 50 characters`);
+  }
+  if (pin.color && typeof pin.color !== 'string') {
+    errors.push(`${prefix} color must be a valid color string`);
+  }
+  if (pin.size !== undefined && (!Number.isFinite(pin.size) || pin.size < 1 || pin.size > 50)) {
+    errors.push(`${prefix} size must be a number between 1 and 50`);
+  }
+  if (pin.textSize !== undefined && (!Number.isFinite(pin.textSize) || pin.textSize < 4 || pin.textSize > 48)) {
+    errors.push(`${prefix} textSize must be a number between 4 and 48`);
+  }
+  if (pin.type && !PIN_TYPES.includes(pin.type)) {
+    errors.push(`${prefix} type must be one of: ${PIN_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// GeoJSON overlay sınırları - sayfanın render süresini makul tutmak için
+const MAX_GEOJSON_FEATURES = 500;
+const MAX_GEOJSON_VERTICES = 10000;
+const GEOJSON_GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+// MultiPolygon: poligon > halka > nokta > [lon, lat] - daha derin diziler geçersiz sayılır
+const MAX_GEOJSON_NESTING = 4;
+
+// Koordinat dizisindeki [lon, lat] noktalarını say, geçersiz nokta ya da fazla iç içe dizi görürse -1 döndür
+function countGeojsonVertices(coordinates, depth = 1) {
+  if (!Array.isArray(coordinates) || depth > MAX_GEOJSON_NESTING) {
+    return -1;
+  }
+  if (typeof coordinates[0] === 'number') {
+    const [x, y] = coordinates;
+    const valid = coordinates.length >= 2 && typeof x === 'number' && typeof y === 'number' &&
+      x >= -180 && x <= 180 && y >= -90 && y <= 90;
+    return valid ? 1 : -1;
+  }
+
+  let total = 0;
+  for (const part of coordinates) {
+    const count = countGeojsonVertices(part, depth + 1);
+    if (count < 0) {
+      return -1;
+    }
+    total += count;
+  }
+  return total;
+}
+
+// GeoJSON stil alanlarını kontrol et - hem feature properties hem varsayılan stil için
+function validateGeojsonStyle(style, prefix) {
+  const errors = [];
+
+  if (style.fill !== undefined && typeof style.fill !== 'string') {
+    errors.push(`${prefix} fill must be a valid color string`);
+  }
+  if (style.stroke !== undefined && typeof style.stroke !== 'string') {
+    errors.push(`${prefix} stroke must be a valid color string`);
+  }
+  if (style.width !== undefined && (typeof style.width !== 'number' || style.width < 0 || style.width > 20)) {
+    errors.push(`${prefix} width must be a number between 0 and 20`);
+  }
+  if (style.label !== undefined && style.label !== null && (typeof style.label !== 'string' || style.label.length > 50)) {
+    errors.push(`${prefix} label must be a string of at most 50 characters`);
+  }
+
+  return errors;
+}
+
+// Harita süslemeleri (ölçek, kuzey oku, başlık, lejant, atıf, zaman damgası) seçenekleri
+const CORNER_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const BANNER_POSITIONS = ['top', 'bottom'];
+const SCALE_UNITS = ['metric', 'imperial'];
+const LEGEND_SHAPES = ['square', 'circle', 'line'];
+const MAX_LEGEND_ITEMS = 20;
+
+// Süslemelerde ortak yazı stili alanları
+function validateDecorationStyle(options, prefix) {
+  const errors = [];
+
+  ['color', 'background'].forEach(field => {
+    if (options[field] !== undefined && (typeof options[field] !== 'string' || options[field].length > 50)) {
+      errors.push(`${prefix} ${field} must be a color string`);
+    }
+  });
+  if (options.fontSize !== undefined && (typeof options.fontSize !== 'number' || options.fontSize < 6 || options.fontSize > 72)) {
+    errors.push(`${prefix} fontSize must be a number between 6 and 72`);
+  }
+
+  return errors;
+}
+
+function validateDecorations(decorations) {
+  if (typeof decorations !== 'object' || Array.isArray(decorations)) {
+    return ['Decorations must be an object'];
+  }
+
+  const errors = [];
+  const known = ['scaleLine', 'northArrow', 'title', 'legend', 'attribution', 'timestamp'];
+  Object.keys(decorations).forEach(name => {
+    if (!known.includes(name)) {
+      errors.push(`Unknown decoration: ${name}, supported: ${known.join(', ')}`);
+    }
+  });
+
+  // Her süsleme true (varsayılanlarla) ya da seçenek nesnesi olabilir
+  const read = name => {
+    const value = decorations[name];
+    if (value === undefined || value === false || value === null) {
+      return null;
+    }
+    if (value === true) {
+      return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`decorations.${name} must be true or an options object`);
+      return null;
+    }
+    return value;
+  };
+  const checkPosition = (options, name, allowed) => {
+    if (options.position !== undefined && !allowed.includes(options.position)) {
+      errors.push(`decorations.${name} position must be one of: ${allowed.join(', ')}`);
+    }
+  };
+  const checkText = (value, label, max) => {
+    if (value !== undefined && (typeof value !== 'string' || value.length > max)) {
+      errors.push(`${label} must be a string of at most ${max} characters`);
+    }
+  };
+
+  const scaleLine = read('scaleLine');
+  if (scaleLine) {
+    checkPosition(scaleLine, 'scaleLine', CORNER_POSITIONS);
+    if (scaleLine.units !== undefined && !SCALE_UNITS.includes(scaleLine.units)) {
+      errors.push(`decorations.scaleLine units must be one of: ${SCALE_UNITS.join(', ')}`);
+    }
+  }
+
+  const northArrow = read('northArrow');
+  if (northArrow) {
+    checkPosition(northArrow, 'northArrow', CORNER_POSITIONS);
+    if (northArrow.size !== undefined && (typeof northArrow.size !== 'number' || northArrow.size < 16 || northArrow.size > 200)) {
+      errors.push('decorations.northArrow size must be a number between 16 and 200');
+    }
+    errors.push(...validateDecorationStyle(northArrow, 'decorations.northArrow'));
+  }
+
+  const title = read('title');
+  if (title) {
+    checkPosition(title, 'title', BANNER_POSITIONS);
+    if (!title.text || typeof title.text !== 'string' || title.text.length > 100) {
+      errors.push('decorations.title text is required and must be a string of at most 100 characters');
+    }
+    checkText(title.subtitle, 'decorations.title subtitle', 200);
+    errors.push(...validateDecorationStyle(title, 'decorations.title'));
+  }
+
+  const legend = read('legend');
+  if (legend) {
+    checkPosition(legend, 'legend', CORNER_POSITIONS);
+    checkText(legend.title, 'decorations.legend title', 100);
+    if (legend.wms !== undefined && typeof legend.wms !== 'boolean') {
+      errors.push('decorations.legend wms must be a boolean');
+    }
+    if (legend.items !== undefined) {
+      if (!Array.isArray(legend.items) || legend.items.length > MAX_LEGEND_ITEMS) {
+        errors.push(`decorations.legend items must be an array of at most ${MAX_LEGEND_ITEMS} entries`);
+      } else {
+        legend.items.forEach((item, index) => {
+          const prefix = `decorations.legend item ${index + 1}:`;
+          if (!item || typeof item !== 'object' || !item.label || typeof item.label !== 'string' || item.label.length > 100) {
+            errors.push(`${prefix} label is required and must be a string of at most 100 characters`);
+          }
+          if (item && item.color !== undefined && (typeof item.color !== 'string' || item.color.length > 50)) {
+            errors.push(`${prefix} color must be a color string`);
+          }
+          if (item && item.shape !== undefined && !LEGEND_SHAPES.includes(item.shape)) {
+            errors.push(`${prefix} shape must be one of: ${LEGEND_SHAPES.join(', ')}`);
+          }
+        });
+      }
+    }
+    if (legend.wms !== true && !(Array.isArray(legend.items) && legend.items.length > 0)) {
+      errors.push('decorations.legend needs items or wms: true');
+    }
+    errors.push(...validateDecorationStyle(legend, 'decorations.legend'));
+  }
+
+  const attribution = read('attribution');
+  if (attribution) {
+    checkPosition(attribution, 'attribution', CORNER_POSITIONS);
+    checkText(attribution.text, 'decorations.attribution text', 300);
+    errors.push(...validateDecorationStyle(attribution, 'decorations.attribution'));
+  }
+
+  const timestamp = read('timestamp');
+  if (timestamp) {
+    checkPosition(timestamp, 'timestamp', [...CORNER_POSITIONS, ...BANNER_POSITIONS]);
+    checkText(timestamp.prefix, 'decorations.timestamp prefix', 50);
+    try {
+      new Intl.DateTimeFormat(timestamp.locale || 'en-GB', { timeZone: timestamp.timeZone || 'UTC' });
+    } catch (err) {
+      errors.push('decorations.timestamp locale or timeZone is not valid');
+    }
+    errors.push(...validateDecorationStyle(timestamp, 'decorations.timestamp'));
+  }
+
+  return errors;
+}
+
+// Baskı çıktısı (PDF) ayarları - kağıt ölçüleri mm cinsinden (kısa kenar, uzun kenar)
+const PAPER_SIZES = {
+  A4: [210, 297],
+  A3: [297, 420],
+  Letter: [215.9, 279.4]
+};
+const PRINT_ORIENTATIONS = ['portrait', 'landscape'];
+const CSS_PX_PER_MM = 96 / 25.4;
+
+function validatePrint(print) {
+  if (typeof print !== 'object' || Array.isArray(print)) {
+    return ['print must be an object'];
+  }
+
+  const errors = [];
+  if (print.paperSize !== undefined && !Object.prototype.hasOwnProperty.call(PAPER_SIZES, print.paperSize)) {
+    errors.push(`print paperSize must be one of: ${Object.keys(PAPER_SIZES).join(', ')}`);
+  }
+  if (print.orientation !== undefined && !PRINT_ORIENTATIONS.includes(print.orientation)) {
+    errors.push(`print orientation must be one of: ${PRINT_ORIENTATIONS.join(', ')}`);
+  }
+  if (print.margin !== undefined && (typeof print.margin !== 'number' || print.margin < 0 || print.margin > 50)) {
+    errors.push('print margin must be a number of millimetres between 0 and 50');
+  }
+  if (print.dpi !== undefined && (typeof print.dpi !== 'number' || print.dpi < 72 || print.dpi > 300)) {
+    errors.push('print dpi must be a number between 72 and 300');
+  }
+
+  return errors;
+}
+
+// Kağıt ölçüsünden harita alanını hesapla - width/height CSS pikseli, scale cihaz piksel oranı
+function resolvePrintLayout(print) {
+  const { paperSize = 'A4', orientation = 'portrait', margin = 10, dpi = 150 } = print || {};
+  const [shortSide, longSide] = PAPER_SIZES[paperSize];
+  const pageWidthMm = orientation === 'landscape' ? longSide : shortSide;
+  const pageHeightMm = orientation === 'landscape' ? shortSide : longSide;
+  const mapWidthMm = pageWidthMm - margin * 2;
+  const mapHeightMm = pageHeightMm - margin * 2;
+
+  return {
+    pageWidthMm,
+    pageHeightMm,
+    margin,
+    mapWidthMm,
+    mapHeightMm,
+    width: Math.floor(mapWidthMm * CSS_PX_PER_MM),
+    height: Math.floor(mapHeightMm * CSS_PX_PER_MM),
+    scale: dpi / 96
+  };
+}
+
+// Görünüm projeksiyonları - EPSG:3857 varsayılan, diğerleri hazır kod ya da proj4 tanımı ile
+const DEFAULT_PROJECTION = 'EPSG:3857';
+const BUILTIN_PROJECTIONS = ['EPSG:3857', 'EPSG:4326'];
+// .prj dosyaları için ESRI WKT tanımları
+const BUILTIN_PROJECTION_WKT = {
+  'EPSG:3857': 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+    'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],' +
+    'PROJECTION["Mercator_Auxiliary_Sphere"],PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],' +
+    'PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],' +
+    'UNIT["Meter",1.0]]',
+  'EPSG:4326': 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+};
+
+function validateProjection(projection) {
+  if (typeof projection === 'string') {
+    return BUILTIN_PROJECTIONS.includes(projection)
+      ? []
+      : [`projection must be one of: ${BUILTIN_PROJECTIONS.join(', ')} or an object with code, proj4 and extent`];
+  }
+  if (typeof projection !== 'object' || Array.isArray(projection)) {
+    return ['projection must be a projection code or an object with code, proj4 and extent'];
+  }
+
+  const errors = [];
+  if (typeof projection.code !== 'string' || !/^[A-Za-z0-9_-]{1,20}:[A-Za-z0-9_.-]{1,30}$/.test(projection.code)) {
+    errors.push('projection code must look like AUTHORITY:CODE, for example EPSG:2154');
+  } else if (BUILTIN_PROJECTIONS.includes(projection.code)) {
+    errors.push(`projection ${projection.code} is built in, pass it as a string`);
+  }
+  if (typeof projection.proj4 !== 'string' || projection.proj4.length > 1000) {
+    errors.push('projection proj4 must be a proj4 definition string of at most 1000 characters');
+  } else {
+    // Tanım sunucuda proj4 ile denenir, bozuk tanım sayfada sessizce boş harita üretmesin
+    try {
+      const [x, y] = proj4('EPSG:4326', projection.proj4, [0, 0]);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error('not finite');
+      }
+    } catch (err) {
+      errors.push('projection proj4 definition could not be parsed');
+    }
+  }
+  const { extent } = projection;
+  if (!Array.isArray(extent) || extent.length !== 4 || extent.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+    errors.push('projection extent must be an array of 4 numbers in projection units: [minX, minY, maxX, maxY]');
+  } else if (extent[0] >= extent[2] || extent[1] >= extent[3]) {
+    errors.push('projection extent min values must be smaller than max values');
+  }
+  // WKT sadece world file'ın yanındaki .prj için kullanılır
+  if (projection.wkt !== undefined && (typeof projection.wkt !== 'string' || projection.wkt.length > 4000)) {
+    errors.push('projection wkt must be a WKT string of at most 4000 characters');
+  }
+
+  return errors;
+}
+
+// projection parametresini { code, proj4, extent, wkt } yapısına çevir
+function resolveProjection(projection) {
+  if (!projection || typeof projection === 'string') {
+    const code = projection || DEFAULT_PROJECTION;
+    return { code, proj4: null, extent: null, wkt: BUILTIN_PROJECTION_WKT[code] };
+  }
+  return { code: projection.code, proj4: projection.proj4, extent: projection.extent, wkt: projection.wkt || null };
+}
+
+// Desteklenen çıktı formatları
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'pdf', 'geotiff'];
+
+// Render bekleme ayarları
+const DEFAULT_RENDER_TIMEOUT_MS = 20000;
+const WAIT_STRATEGIES = ['strict', 'lenient'];
+
+// Altlık harita kontrolü - hazır isim, 'none' ya da özel XYZ nesnesi
+function validateBasemap(basemap) {
+  const errors = [];
+  const presetNames = [...Object.keys(BASEMAP_PRESETS), 'none'];
+
+  if (typeof basemap === 'string') {
+    if (!presetNames.includes(basemap)) {
+      errors.push(`Basemap must be one of: ${presetNames.join(', ')} or a custom XYZ object`);
+    }
+    return errors;
+  }
+  if (typeof basemap !== 'object' || Array.isArray(basemap)) {
+    return ['Basemap must be a preset name or an object with a url template'];
+  }
+
+  if (typeof basemap.url !== 'string' || !/^https?:\/\//.test(basemap.url)) {
+    errors.push('Basemap url must be an http(s) URL template');
+  } else if (!['{z}', '{x}'].every(token => basemap.url.includes(token)) || !/\{-?y\}/.test(basemap.url)) {
+    errors.push('Basemap url must contain {z}, {x} and {y} (or {-y}) placeholders');
+  }
+  if (basemap.attribution !== undefined && (typeof basemap.attribution !== 'string' || basemap.attribution.length > 200)) {
+    errors.push('Basemap attribution must be a string of at most 200 characters');
+  }
+  if (basemap.maxZoom !== undefined && (typeof basemap.maxZoom !== 'number' || basemap.maxZoom < 0 || basemap.maxZoom > 24)) {
+    errors.push('Basemap maxZoom must be a number between 0 and 24');
+  }
+  if (basemap.grayscale !== undefined && typeof basemap.grayscale !== 'boolean') {
+    errors.push('Basemap grayscale must be a boolean');
+  }
+  if (basemap.tilePixelRatio !== undefined && !isValidTilePixelRatio(basemap.tilePixelRatio)) {
+    errors.push(`Basemap tilePixelRatio must be a number between 1 and ${MAX_SCALE}`);
+  }
+
+  return errors;
+}
+
+// WMS katmanları kontrolü
+function validateWmsList(wms) {
+  if (!Array.isArray(wms)) {
+    return ['WMS must be an array of layer objects'];
+  }
+
+  const errors = [];
+  if (wms.length > MAX_WMS_LAYERS) {
+    errors.push(`Maximum ${MAX_WMS_LAYERS} WMS layers allowed`);
+  }
+  wms.forEach((layer, index) => {
+    errors.push(...validateWmsLayer(layer, `WMS layer ${index + 1}:`));
+  });
+
+  return errors;
+}
+
+// Tipli overlay katmanları kontrolü - wms, wmts, xyz, mvt
+function validateOverlayList(overlays, { wms }) {
+  if (!Array.isArray(overlays)) {
+    return ['Overlays must be an array of layer objects'];
+  }
+
+  const errors = [];
+  const wmsCount = Array.isArray(wms) ? wms.length : 0;
+  if (overlays.length + wmsCount > MAX_WMS_LAYERS) {
+    errors.push(`Maximum ${MAX_WMS_LAYERS} overlay layers allowed in total (wms + overlays)`);
+  }
+  overlays.forEach((layer, index) => {
+    errors.push(...validateOverlayLayer(layer, index));
+  });
+
+  return errors;
+}
+
+// Tekil pin kontrolü
+function validateSinglePin(pin) {
+  if (typeof pin !== 'object' || Array.isArray(pin)) {
+    return ['Pin must be an object'];
+  }
+  return validatePin(pin, 'Pin');
+}
+
+// Çoklu pin kontrolü
+function validatePinList(pins) {
+  if (!Array.isArray(pins)) {
+    return ['Pins must be an array of pin objects'];
+  }
+
+  const errors = [];
+  if (pins.length > MAX_PINS) {
+    errors.push(`Maximum ${MAX_PINS} pins allowed`);
+  }
+  pins.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`Pin ${index + 1}: must be an object`);
+      return;
+    }
+    // Çoklu pinlerde konum zorunlu, harita merkezine düşmesin
+    if (item.lat === undefined || item.lon === undefined) {
+      errors.push(`Pin ${index + 1}: lat and lon are required`);
+    }
+    errors.push(...validatePin(item, `Pin ${index + 1}:`));
+  });
+
+  return errors;
+}
+
+// Pinlere sığdırma kontrolü
+function validateFitPins(fitPins, { pin, pins, bbox, lat, lon }) {
+  if (!fitPins) {
+    return [];
+  }
+
+  const errors = [];
+  if (!(Array.isArray(pins) && pins.length > 0) && !pin) {
+    errors.push('fitPins requires at least one pin');
+  }
+  if (bbox !== undefined && bbox !== null) {
+    errors.push('bbox and fitPins cannot be used together');
+  }
+  // Merkez verilmediyse tekil pin de konumunu kendisi taşımalı
+  if (pin && (pin.lat === undefined || pin.lon === undefined) && (lat === undefined || lon === undefined)) {
+    errors.push('Pin lat and lon are required when fitPins is used without lat and lon');
+  }
+
+  return errors;
+}
+
+// GeoJSON overlay kontrolü
+function validateGeojson(geojson) {
+  if (typeof geojson !== 'object' || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return ['GeoJSON must be a FeatureCollection with a features array'];
+  }
+
+  const errors = [];
+  if (geojson.features.length > MAX_GEOJSON_FEATURES) {
+    errors.push(`Maximum ${MAX_GEOJSON_FEATURES} GeoJSON features allowed`);
+  }
+
+  let totalVertices = 0;
+  geojson.features.forEach((feature, index) => {
+    const prefix = `GeoJSON feature ${index + 1}:`;
+    if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+      errors.push(`${prefix} must be a Feature with a geometry`);
+      return;
+    }
+    if (!GEOJSON_GEOMETRY_TYPES.includes(feature.geometry.type)) {
+      errors.push(`${prefix} geometry type must be one of: ${GEOJSON_GEOMETRY_TYPES.join(', ')}`);
+      return;
+    }
+
+    const vertices = countGeojsonVertices(feature.geometry.coordinates);
+    if (vertices < 0) {
+      errors.push(`${prefix} coordinates must be [lon, lat] positions within valid ranges`);
+    } else {
+      totalVertices += vertices;
+    }
+
+    if (feature.properties && typeof feature.properties === 'object') {
+      errors.push(...validateGeojsonStyle(feature.properties, prefix));
+    }
+  });
+
+  if (totalVertices > MAX_GEOJSON_VERTICES) {
+    errors.push(`GeoJSON cannot contain more than ${MAX_GEOJSON_VERTICES} vertices in total`);
+  }
+
+  return errors;
+}
+
+// GeoJSON varsayılan stil kontrolü
+function validateGeojsonDefaultStyle(geojsonStyle) {
+  if (typeof geojsonStyle !== 'object' || Array.isArray(geojsonStyle)) {
+    return ['geojsonStyle must be an object'];
+  }
+
+  const errors = validateGeojsonStyle(geojsonStyle, 'geojsonStyle');
+  if (geojsonStyle.radius !== undefined && (typeof geojsonStyle.radius !== 'number' || geojsonStyle.radius < 1 || geojsonStyle.radius > 50)) {
+    errors.push('geojsonStyle radius must be a number between 1 and 50');
+  }
+  if (geojsonStyle.textSize !== undefined && (typeof geojsonStyle.textSize !== 'number' || geojsonStyle.textSize < 4 || geojsonStyle.textSize > 48)) {
+    errors.push('geojsonStyle textSize must be a number between 4 and 48');
+  }
+
+  return errors;
+}
+
+// GeoJSON'a sığdırma kontrolü
+function validateFitGeojson(fitGeojson, { geojson, bbox }) {
+  if (!fitGeojson) {
+    return [];
+  }
+
+  const errors = [];
+  if (!(geojson && Array.isArray(geojson.features) && geojson.features.length > 0)) {
+    errors.push('fitGeojson requires a GeoJSON FeatureCollection with at least one feature');
+  }
+  if (bbox !== undefined && bbox !== null) {
+    errors.push('bbox and fitGeojson cannot be used together');
+  }
+
+  return errors;
+}
+
+// Bounding box kontrolü - [minLon, minLat, maxLon, maxLat]
+function validateBbox(bbox, { projection }) {
+  if (!Array.isArray(bbox) || bbox.length !== 4 || bbox.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+    return ['bbox must be an array of 4 numbers: [minLon, minLat, maxLon, maxLat]'];
+  }
+
+  const errors = [];
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  if (minLon < -180 || maxLon > 180) {
+    errors.push('bbox longitudes must be between -180 and 180');
+  }
+  // Kutuplar sadece Web Mercator'da çizilemez
+  const maxLatitude = resolveProjection(projection).code === 'EPSG:3857' ? MAX_MERCATOR_LAT : 90;
+  if (minLat < -maxLatitude || maxLat > maxLatitude) {
+    errors.push(`bbox latitudes must be between -${maxLatitude} and ${maxLatitude}`);
+  }
+  if (minLon >= maxLon || minLat >= maxLat) {
+    errors.push('bbox min values must be smaller than max values');
+  }
+
+  return errors;
+}
+
+// Padding kontrolü - piksel cinsinden, tek sayı veya [top, right, bottom, left]
+function validatePadding(padding, options) {
+  const errors = [];
+  if (!hasFitOption(options)) {
+    errors.push('padding can only be used together with bbox, fitPins or fitGeojson');
+  }
+
+  const paddingValues = Array.isArray(padding) ? padding : [padding, padding, padding, padding];
+  if (paddingValues.length !== 4 || paddingValues.some(v => typeof v !== 'number' || v < 0 || v > 500)) {
+    errors.push('padding must be a number or an array of 4 numbers [top, right, bottom, left] between 0 and 500');
+  } else {
+    const [top, right, bottom, left] = paddingValues;
+    if (left + right >= (options.width || 640) || top + bottom >= (options.height || 480)) {
+      errors.push('padding must leave some room for the map inside the image');
+    }
+  }
+
+  return errors;
+}
+
+// Projeksiyon kontrolü - vector tile'lar yeniden projekte edilemez
+function validateViewProjection(projection, { overlays }) {
+  const errors = validateProjection(projection);
+  if (errors.length === 0 && resolveProjection(projection).code !== 'EPSG:3857' &&
+      Array.isArray(overlays) && overlays.some(layer => layer && layer.type === 'mvt')) {
+    errors.push('mvt overlays can only be used with the EPSG:3857 projection');
+  }
+  return errors;
+}
+
+// Görünüm bbox'tan, pinlerden ya da GeoJSON'dan hesaplanacaksa merkez gerekmez
+function hasFitOption({ bbox, fitPins, fitGeojson }) {
+  return (bbox !== undefined && bbox !== null) || fitPins === true || fitGeojson === true;
+}
+
+// OpenAPI şema parçaları - karmaşık parametrelerin yapısı
+const COLOR_SCHEMA = { type: 'string', maxLength: 50 };
+const LAYER_HEADERS_SCHEMA = {
+  type: 'object',
+  maxProperties: 10,
+  additionalProperties: { type: 'string', maxLength: 1000 },
+  description: 'Extra HTTP headers sent with this layer\'s requests'
+};
+const VECTOR_STYLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    fill: COLOR_SCHEMA,
+    stroke: COLOR_SCHEMA,
+    width: { type: 'number', minimum: 0, maximum: 20 },
+    radius: { type: 'number', minimum: 1, maximum: 50 },
+    textSize: { type: 'number', minimum: 4, maximum: 48 },
+    label: { type: 'string', maxLength: 50 }
+  }
+};
+const WMS_LAYER_SCHEMA = {
+  type: 'object',
+  required: ['url', 'layers'],
+  properties: {
+    url: { type: 'string' },
+    layers: { type: 'string' },
+    opacity: { type: 'number', minimum: 0, maximum: 1, default: 1 },
+    styles: { type: 'string', maxLength: 500 },
+    version: { type: 'string', enum: WMS_VERSIONS },
+    format: { type: 'string', enum: WMS_FORMATS },
+    cql_filter: { type: 'string', maxLength: 2000 },
+    time: { type: 'string', maxLength: 200 },
+    params: {
+      type: 'object',
+      maxProperties: 20,
+      additionalProperties: { oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] }
+    },
+    serverType: { type: 'string', enum: WMS_SERVER_TYPES, default: 'geoserver' },
+    tiled: { type: 'boolean', default: true },
+    headers: LAYER_HEADERS_SCHEMA
+  }
+};
+const OVERLAY_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  description: 'Fields depend on type: wms takes the WMS layer fields, wmts needs layer and matrixSet, xyz and mvt need a {z}/{x}/{y} url',
+  properties: {
+    ...WMS_LAYER_SCHEMA.properties,
+    type: { type: 'string', enum: OVERLAY_TYPES, default: 'wms' },
+    layer: { type: 'string' },
+    matrixSet: { type: 'string' },
+    style: { oneOf: [{ type: 'string' }, VECTOR_STYLE_SCHEMA] },
+    format: { type: 'string', enum: WMS_FORMATS },
+    requestEncoding: { type: 'string', enum: WMTS_REQUEST_ENCODINGS },
+    matrixIdPrefix: { type: 'string', maxLength: 100 },
+    maxZoom: { type: 'number', minimum: 0, maximum: 24 },
+    tilePixelRatio: { type: 'number', minimum: 1, maximum: MAX_SCALE },
+    layerStyles: { type: 'object', additionalProperties: VECTOR_STYLE_SCHEMA }
+  }
+};
+const PIN_SCHEMA = {
+  type: 'object',
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lon: { type: 'number', minimum: -180, maximum: 180 },
+    type: { type: 'string', enum: PIN_TYPES, default: 'circle' },
+    size: { type: 'number', minimum: 1, maximum: 50, default: 20 },
+    color: { type: 'string', default: '#FF0000' },
+    text: { type: 'string', maxLength: 50 },
+    textSize: { type: 'number', minimum: 4, maximum: 48, default: 16 }
+  }
+};
+const DECORATION_SCHEMA = { oneOf: [{ type: 'boolean' }, { type: 'object' }] };
+const NUMBER_QUAD_SCHEMA = { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 };
+
+// Screenshot istek şeması - POST gövdesi ve GET query'si aynı alanları kullanır
+// Doğrulama, varsayılanlar, GET çözümleme, /api-info parametre listesi ve OpenAPI dokümanı buradan üretilir
+// Basit alanlar tip/aralık/enum ile, karmaşık alanlar validate fonksiyonu ile kontrol edilir
+// center alanları bbox, fitPins ya da fitGeojson yoksa zorunludur
+const SCREENSHOT_SCHEMA = {
+  lat: {
+    type: 'number', minimum: -90, maximum: 90, label: 'Latitude', center: true,
+    description: 'Map center latitude'
+  },
+  lon: {
+    type: 'number', minimum: -180, maximum: 180, label: 'Longitude', center: true,
+    description: 'Map center longitude'
+  },
+  zoom: {
+    type: 'number', minimum: 1, maximum: 20, label: 'Zoom', center: true,
+    description: 'Zoom level'
+  },
+  width: {
+    type: 'number', minimum: 50, maximum: MAX_MOSAIC_SIZE, default: 640, label: 'Width',
+    description: `Image width in CSS pixels; above ${MAX_VIEWPORT_SIZE} only with mosaic`
+  },
+  height: {
+    type: 'number', minimum: 50, maximum: MAX_MOSAIC_SIZE, default: 480, label: 'Height',
+    description: `Image height in CSS pixels; above ${MAX_VIEWPORT_SIZE} only with mosaic`
+  },
+  format: {
+    type: 'string', enum: SUPPORTED_FORMATS, default: 'jpeg',
+    description: 'Output format; geotiff is RGBA, deflate compressed and georeferenced in the view projection'
+  },
+  quality: {
+    type: 'number', minimum: 1, maximum: 100, default: 70, label: 'Quality',
+    description: 'JPEG quality'
+  },
+  scale: {
+    type: 'number', minimum: 1, maximum: MAX_SCALE, default: 1, label: 'Scale',
+    description: `Device pixel ratio; same area and layout with scale times more pixels, width * height * scale² may not exceed ${MAX_RENDER_PIXELS} pixels (${MAX_MOSAIC_PIXELS} with mosaic)`
+  },
+  bearing: {
+    type: 'number', minimum: -360, maximum: 360, default: 0, label: 'Bearing', unit: 'degrees',
+    description: 'Map rotation in degrees clockwise from north'
+  },
+  projection: {
+    type: 'string|object', validate: validateViewProjection,
+    schema: {
+      oneOf: [
+        { type: 'string', enum: BUILTIN_PROJECTIONS },
+        {
+          type: 'object',
+          required: ['code', 'proj4', 'extent'],
+          properties: {
+            code: { type: 'string', example: 'EPSG:2154' },
+            proj4: { type: 'string', maxLength: 1000 },
+            extent: NUMBER_QUAD_SCHEMA,
+            wkt: { type: 'string', maxLength: 4000 }
+          }
+        }
+      ],
+      default: DEFAULT_PROJECTION
+    },
+    description: 'View projection: a built-in code or a custom { code, proj4, extent, wkt } with the extent in projection units; WMS layers are requested in this CRS, XYZ/WMTS tiles are reprojected and mvt overlays need EPSG:3857; wkt is written to the .prj of worldFile output'
+  },
+  basemap: {
+    type: 'string|object', validate: validateBasemap,
+    schema: {
+      oneOf: [
+        { type: 'string', enum: [...Object.keys(BASEMAP_PRESETS), 'none'] },
+        {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', description: 'XYZ template with {z}, {x}, {y} (or {-y}) and an optional {r} retina placeholder' },
+            attribution: { type: 'string', maxLength: 200 },
+            maxZoom: { type: 'number', minimum: 0, maximum: 24 },
+            grayscale: { type: 'boolean' },
+            tilePixelRatio: { type: 'number', minimum: 1, maximum: MAX_SCALE }
+          }
+        }
+      ],
+      default: 'osm'
+    },
+    description: 'Base map preset or custom XYZ source; none gives a transparent PNG/WebP background'
+  },
+  wms: {
+    type: 'array', validate: validateWmsList,
+    schema: { type: 'array', maxItems: MAX_WMS_LAYERS, items: WMS_LAYER_SCHEMA },
+    description: `WMS layers drawn over the base map, max ${MAX_WMS_LAYERS}`
+  },
+  overlays: {
+    type: 'array', validate: validateOverlayList,
+    schema: { type: 'array', maxItems: MAX_WMS_LAYERS, items: OVERLAY_SCHEMA },
+    description: `Typed overlay layers (wms, wmts, xyz, mvt), max ${MAX_WMS_LAYERS} together with wms`
+  },
+  pin: {
+    type: 'object', validate: validateSinglePin, schema: PIN_SCHEMA,
+    description: 'Single pin marker; without lat/lon it is placed at the map center'
+  },
+  pins: {
+    type: 'array', validate: validatePinList,
+    schema: { type: 'array', maxItems: MAX_PINS, items: { ...PIN_SCHEMA, required: ['lat', 'lon'] } },
+    description: `Pin markers with their own position and style, max ${MAX_PINS}`
+  },
+  fitPins: {
+    type: 'boolean', default: false, validate: validateFitPins,
+    description: 'Fit the view so every pin is visible; makes lat, lon and zoom optional'
+  },
+  geojson: {
+    type: 'object', validate: validateGeojson,
+    schema: {
+      type: 'object',
+      required: ['type', 'features'],
+      properties: {
+        type: { type: 'string', enum: ['FeatureCollection'] },
+        features: { type: 'array', maxItems: MAX_GEOJSON_FEATURES, items: { type: 'object' } }
+      }
+    },
+    description: `GeoJSON FeatureCollection of ${GEOJSON_GEOMETRY_TYPES.join(', ')}, max ${MAX_GEOJSON_FEATURES} features and ${MAX_GEOJSON_VERTICES} vertices; fill, stroke, width and label are read from feature properties`
+  },
+  geojsonStyle: {
+    type: 'object', validate: validateGeojsonDefaultStyle, schema: VECTOR_STYLE_SCHEMA,
+    description: 'Default GeoJSON style'
+  },
+  fitGeojson: {
+    type: 'boolean', default: false, validate: validateFitGeojson,
+    description: 'Fit the view to the GeoJSON features; can be combined with fitPins'
+  },
+  bbox: {
+    type: 'array', validate: validateBbox, query: 'csv', schema: NUMBER_QUAD_SCHEMA,
+    description: '[minLon, minLat, maxLon, maxLat] extent to fit; makes lat, lon and zoom optional; GET also accepts minLon,minLat,maxLon,maxLat'
+  },
+  padding: {
+    type: 'number|array', validate: validatePadding,
+    schema: { oneOf: [{ type: 'number', minimum: 0, maximum: 500 }, NUMBER_QUAD_SCHEMA] },
+    description: 'Pixel padding around bbox, pins or GeoJSON, single value or [top, right, bottom, left]'
+  },
+  timeout: {
+    type: 'number', minimum: 1000, maximum: 60000, default: DEFAULT_RENDER_TIMEOUT_MS, label: 'Timeout', unit: 'milliseconds',
+    description: 'Maximum wait for all sources to load'
+  },
+  waitStrategy: {
+    type: 'string', enum: WAIT_STRATEGIES, default: 'lenient',
+    description: 'strict fails with 502/504 on tile errors or timeout, lenient renders anyway'
+  },
+  decorations: {
+    type: 'object', validate: validateDecorations,
+    schema: {
+      type: 'object',
+      properties: {
+        scaleLine: DECORATION_SCHEMA,
+        northArrow: DECORATION_SCHEMA,
+        title: DECORATION_SCHEMA,
+        legend: DECORATION_SCHEMA,
+        attribution: DECORATION_SCHEMA,
+        timestamp: DECORATION_SCHEMA
+      },
+      additionalProperties: false
+    },
+    description: 'scaleLine, northArrow, title, legend, attribution and timestamp; each true or an options object with position, color, background and fontSize'
+  },
+  print: {
+    type: 'object', validate: validatePrint,
+    schema: {
+      type: 'object',
+      properties: {
+        paperSize: { type: 'string', enum: Object.keys(PAPER_SIZES), default: 'A4' },
+        orientation: { type: 'string', enum: PRINT_ORIENTATIONS, default: 'portrait' },
+        margin: { type: 'number', minimum: 0, maximum: 50, default: 10 },
+        dpi: { type: 'number', minimum: 72, maximum: 300, default: 150 }
+      }
+    },
+    description: 'Paper layout (margin in mm); the map fills the printable area at the given DPI and width/height are ignored. Used by pdf, or with an image format for print resolution images'
+  },
+  worldFile: {
+    type: 'boolean', default: false,
+    description: 'Return a ZIP with the png or jpeg image, its world file (.pgw/.jgw) and a .prj file in the view projection'
+  },
+  mosaic: {
+    type: 'boolean', default: false,
+    description: `Render up to ${MAX_MOSAIC_SIZE}px per side as ${MOSAIC_TILE_SIZE}px parts through the browser pool and stitch them into one png or geotiff; decorations are not supported`
+  }
+};
+
+// Basit şema alanını kontrol et - mesajlar şemadaki sınırlardan üretilir
+function checkSchemaValue(name, rule, value) {
+  const label = rule.label || name;
+
+  if (rule.type === 'number') {
+    const valid = typeof value === 'number' && Number.isFinite(value) && value >= rule.minimum && value <= rule.maximum;
+    return valid ? [] : [`${label} must be a number${rule.unit ? ` of ${rule.unit}` : ''} between ${rule.minimum} and ${rule.maximum}`];
+  }
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? [] : [`${label} must be a boolean`];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [`${label} must be one of: ${rule.enum.join(', ')}`];
+  }
+  return [];
+}
+
+// Input Validation Function - önce şemadaki her alan, sonra alanlar arası kurallar
+function validateInput(options, { requireCenter = true } = {}) {
+  const errors = [];
+
+  Object.entries(SCREENSHOT_SCHEMA).forEach(([name, rule]) => {
+    const value = options[name];
+    if (value === undefined || value === null) {
+      return;
+    }
+    errors.push(...checkSchemaValue(name, rule, value));
+    if (rule.validate && (rule.type !== 'boolean' || typeof value === 'boolean')) {
+      errors.push(...rule.validate(value, options));
+    }
+  });
+
+  const { width, height, scale, format, worldFile, mosaic, decorations, print } = options;
+
+  // Merkez, bbox ya da sığdırma yoksa lat/lon/zoom zorunlu - şablonlarda istek anında verilebilir
+  if (requireCenter && !hasFitOption(options)) {
+    Object.entries(SCREENSHOT_SCHEMA).forEach(([name, rule]) => {
+      if (rule.center && (options[name] === undefined || options[name] === null)) {
+        errors.push(...checkSchemaValue(name, rule, undefined));
+      }
+    });
+  }
+
+  // Sayfa boyutu sınırı - daha büyük çıktılar mozaik ile parça parça render edilir
+  if (mosaic !== true && [width, height].some(size => typeof size === 'number' && size > MAX_VIEWPORT_SIZE)) {
+    errors.push(`width and height above ${MAX_VIEWPORT_SIZE} require mosaic: true`);
+  }
+
+  // Toplam piksel bütçesi - width * height * scale²
+  const maxPixels = mosaic === true ? MAX_MOSAIC_PIXELS : MAX_RENDER_PIXELS;
+  if ([width, height, scale].every(value => typeof value === 'number') && width * height * scale * scale > maxPixels) {
+    errors.push(`Output of ${width}x${height} at scale ${scale} is ${Math.round(width * height * scale * scale)} pixels, maximum is ${maxPixels}`);
+  }
+
+  // Coğrafi referanslı çıktı kontrolü - GeoTIFF referansı kendi taşır, world file png/jpeg yanına yazılır
+  if (worldFile === true && !WORLD_FILE_EXTENSIONS[format]) {
+    errors.push(`worldFile can only be used with: ${Object.keys(WORLD_FILE_EXTENSIONS).join(', ')}`);
+  }
+
+  // Mozaik kontrolü - her parça ayrı sayfa olduğundan süslemeler parça başına tekrarlanırdı
+  if (mosaic === true && !MOSAIC_FORMATS.includes(format)) {
+    errors.push(`mosaic output format must be one of: ${MOSAIC_FORMATS.join(', ')}`);
+  }
+  if (mosaic === true && decorations) {
+    errors.push('decorations cannot be used with mosaic');
+  }
+  if (print && (mosaic === true || worldFile === true || format === 'geotiff')) {
+    errors.push('print cannot be combined with mosaic, worldFile or geotiff output');
+  }
+
+  // URL güvenlik politikası kontrolü - istek anında DNS ile bir kez daha kontrol edilir
+  const { basemap, wms, overlays } = options;
+  const requestUrls = [];
+  if (basemap && typeof basemap === 'object' && typeof basemap.url === 'string') {
+    requestUrls.push({ label: 'Basemap url', url: basemap.url });
+  }
+  (Array.isArray(wms) ? wms : []).forEach((layer, index) => {
+    if (layer && typeof layer.url === 'string') {
+      requestUrls.push({ label: `WMS layer ${index + 1}: url`, url: layer.url });
+    }
+  });
+  (Array.isArray(overlays) ? overlays : []).forEach((layer, index) => {
+    if (layer && typeof layer.url === 'string') {
+      requestUrls.push({ label: `Overlay ${index + 1}: url`, url: layer.url });
+    }
+  });
+  requestUrls.forEach(({ label, url }) => {
+    const problem = checkTemplateUrl(url);
+    if (problem) {
+      errors.push(`${label} is not allowed by the URL policy: ${problem}`);
+    }
+  });
+
+  return errors;
+}
+
+// GET query'sini şemaya göre POST gövdesine çevir - sayılar ve boolean'lar metinden çözülür,
+// nesne ve diziler URL-encoded JSON olarak verilir (bbox virgülle ayrılmış da olabilir)
+function readScreenshotQuery(query) {
+  const body = {};
+  const errors = [];
+
+  Object.entries(SCREENSHOT_SCHEMA).forEach(([name, rule]) => {
+    const raw = query[name];
+    if (raw === undefined) {
+      return;
+    }
+    if (typeof raw !== 'string') {
+      errors.push(`${name} must be given once`);
+      return;
+    }
+
+    const types = rule.type.split('|');
+    if (/^\s*[[{]/.test(raw) && (types.includes('object') || types.includes('array'))) {
+      try {
+        body[name] = JSON.parse(raw);
+      } catch (err) {
+        errors.push(`${name} must be URL-encoded JSON`);
+      }
+    } else if (types.includes('string')) {
+      body[name] = raw;
+    } else if (types.includes('number')) {
+      body[name] = raw.trim() === '' ? NaN : Number(raw);
+    } else if (types.includes('boolean')) {
+      body[name] = raw === 'true' ? true : raw === 'false' ? false : raw;
+    } else if (rule.query === 'csv') {
+      body[name] = raw.split(',').map(value => (value.trim() === '' ? NaN : Number(value)));
+    } else {
+      errors.push(`${name} must be URL-encoded JSON`);
+    }
+  });
+
+  // Nesne alanlarının tek bir alt alanı noktayla verilebilir: pin.text=Merkez, print.dpi=200
+  Object.entries(query).forEach(([key, raw]) => {
+    const [name, field, ...rest] = key.split('.');
+    if (!Object.hasOwn(SCREENSHOT_SCHEMA, name) || field === undefined) {
+      return;
+    }
+    const rule = SCREENSHOT_SCHEMA[name];
+    const properties = rule.schema && rule.schema.properties;
+    if (rest.length > 0 || !properties || !Object.hasOwn(properties, field)) {
+      errors.push(`${key} is not a known ${name} field`);
+      return;
+    }
+    if (typeof raw !== 'string') {
+      errors.push(`${key} must be given once`);
+      return;
+    }
+    if (body[name] !== undefined && (body[name] === null || typeof body[name] !== 'object' || Array.isArray(body[name]))) {
+      errors.push(`${key} can only be combined with an object ${name}`);
+      return;
+    }
+
+    const { type } = properties[field];
+    let value = raw;
+    if (type === 'number') {
+      value = raw.trim() === '' ? NaN : Number(raw);
+    } else if (type === 'boolean') {
+      value = raw === 'true' ? true : raw === 'false' ? false : raw;
+    } else if (type !== 'string') {
+      try {
+        value = JSON.parse(raw);
+      } catch (err) {
+        errors.push(`${key} must be URL-encoded JSON`);
+        return;
+      }
+    }
+    body[name] = { ...body[name], [field]: value };
+  });
+
+  return { body, errors };
+}
+
+// Çıktının yanıt tipi - world file istenen görüntüler ZIP olarak paketlenir
+function contentTypeFor({ format, worldFile }) {
+  if (worldFile) {
+    return 'application/zip';
+  }
+  if (format === 'pdf') {
+    return 'application/pdf';
+  }
+  return format === 'geotiff' ? 'image/tiff' : `image/${format}`;
+}
+
+// Çıktı dosyası uzantısı
+function fileExtensionFor({ format, worldFile }) {
+  if (worldFile) {
+    return 'zip';
+  }
+  return { jpeg: 'jpg', geotiff: 'tif' }[format] || format;
+}
+
+// Çıktının tip başlıkları - ZIP ve GeoTIFF dosya olarak indirilir
+function applyOutputHeaders(res, output) {
+  res.set('Content-Type', contentTypeFor(output));
+  if (output.worldFile || output.format === 'geotiff') {
+    res.set('Content-Disposition', `attachment; filename="map.${fileExtensionFor(output)}"`);
+  }
+}
+
+// POST gövdesini şemadaki varsayılanlarla birlikte render seçeneklerine çevir
+// Varsayılanı olmayan alanlar null olur, merkez alanları verilmediyse tanımsız kalır
+function readScreenshotBody(body) {
+  const input = body || {};
+  const options = {};
+
+  Object.entries(SCREENSHOT_SCHEMA).forEach(([name, rule]) => {
+    if (input[name] !== undefined) {
+      options[name] = input[name];
+    } else if (rule.default !== undefined) {
+      options[name] = rule.default;
+    } else {
+      options[name] = rule.center ? undefined : null;
+    }
+  });
+
+  return options;
+}
+
+// Render seçeneklerini kontrol et - sorun varsa 400 yanıt gövdesini, yoksa null döndürür
+function checkScreenshotOptions(options) {
+  const validationErrors = validateInput(options);
+  if (validationErrors.length > 0) {
+    return {
+      error: 'Validation failed',
+      details: validationErrors
+    };
+  }
+
+  return null;
+}
+
+// Log satırları için isteğin kısa özeti
+function describeRequest({ lat, lon, zoom, width, height, format, basemap, wms, overlays, pin, pins, geojson, bbox }) {
+  return `${bbox ? `bbox=${bbox.join(',')}` : `lat=${lat}, lon=${lon}, zoom=${zoom}`}, ${width}x${height}, ${format}` +
+    `${basemap ? `, basemap: ${basemap.url || basemap}` : ''}` +
+    `${wms ? `, WMS layers: ${wms.length}` : ''}` +
+    `${overlays ? `, Overlays: ${overlays.length}` : ''}` +
+    `${pin ? `, Pin: ${pin.text || 'No text'}` : ''}` +
+    `${pins ? `, Pins: ${pins.length}` : ''}` +
+    `${geojson ? `, GeoJSON features: ${geojson.features.length}` : ''}`;
+}
+
+// Render Error Class - HTTP durum kodu ve render özetini taşıyan hata
+class RenderError extends Error {
+  constructor(message, statusCode, render) {
+    super(message);
+    this.name = 'RenderError';
+    this.statusCode = statusCode;
+    this.render = render;
+  }
+}
+
+// Haritayı sayfaya kur ve çizimin bitmesini bekle - { render, status, layout } döndürür
+async function loadMapPage(page, options) {
+  const { width, height, format, wms, overlays, print, scale = 1 } = options;
+  const startedAt = Date.now();
+
+  // Baskı modunda harita kağıt boyutunda, istenen DPI'a göre yüksek piksel oranıyla çizilir
+  const layout = format === 'pdf' || print ? resolvePrintLayout(print) : null;
+  const pixelRatio = layout ? layout.scale : scale;
+  await page.setViewport({
+    width: layout ? layout.width : parseInt(width),
+    height: layout ? layout.height : parseInt(height),
+    deviceScaleFactor: pixelRatio
+  });
+  await preparePageRequests(page, collectOverlays(wms, overlays));
+
+  const html = generateHtml({ ...options, pixelRatio, assetBaseUrl: `${PAGE_ASSET_ORIGIN}/vendor/ol` });
+  await page.setContent(html, { waitUntil: 'domcontentloaded' });
+
+  const { render, status } = await waitForRender(page, options, startedAt);
+  return { render, status, layout };
+}
+
+// Sayfadaki çizimin bitmesini bekle ve render özetini çıkar
+// URL politikasına takılan istekler ve strict moddaki eksikler RenderError olarak atılır
+async function waitForRender(page, { timeout = DEFAULT_RENDER_TIMEOUT_MS, waitStrategy = 'lenient' }, startedAt) {
+  // Tüm kaynaklar yüklenip harita çizilene kadar bekle
+  let timedOut = false;
+  try {
+    await page.waitForFunction(
+      () => window.renderStatus && window.renderStatus.ready,
+      { timeout }
+    );
+  } catch (err) {
+    if (err.name !== 'TimeoutError') {
+      throw err;
+    }
+    timedOut = true;
+  }
+
+  const status = await page.evaluate(() => window.renderStatus || { started: 0, loaded: 0, failed: 0 });
+  const render = {
+    tilesTotal: status.started,
+    tilesLoaded: status.loaded,
+    tilesFailed: status.failed,
+    timedOut,
+    waitStrategy,
+    durationMs: Date.now() - startedAt
+  };
+
+  // URL politikasına takılan istek varsa render hangi modda olursa olsun reddedilir
+  const { blocked } = pageRequestStates.get(page);
+  if (blocked.length > 0) {
+    throw new RenderError(
+      `${blocked.length} request(s) blocked by the URL policy, first: ${blocked[0].url} (${blocked[0].reason})`,
+      403,
+      { ...render, blockedRequests: blocked.slice(0, 10) }
+    );
+  }
+
+  // strict modda eksik harita yerine hata döner
+  if (waitStrategy === 'strict' && timedOut) {
+    throw new RenderError(`Render did not complete within ${timeout}ms`, 504, render);
+  }
+  if (waitStrategy === 'strict' && render.tilesFailed > 0) {
+    throw new RenderError(`${render.tilesFailed} of ${render.tilesTotal} tiles failed to load`, 502, render);
+  }
+
+  return { render, status };
+}
+
+// Sayfa ekran görüntüsü ayarları
+function pageScreenshotOptions(imageFormat, { basemap, quality }) {
+  const screenshotOptions = {
+    type: imageFormat,
+    fullPage: false,
+    // Altlık yoksa PNG/WebP şeffaf arka planla kaydedilir
+    omitBackground: basemap === 'none' && imageFormat !== 'jpeg'
+  };
+
+  // Format'a göre kalite ayarı
+  if (imageFormat === 'jpeg') {
+    screenshotOptions.quality = parseInt(quality);
+  }
+
+  return screenshotOptions;
+}
+
+// Haritayı verilen sayfada render et - { buffer, render } döndürür
+async function renderOnPage(page, options) {
+  const { format } = options;
+  const startedAt = Date.now();
+  const { render, status, layout } = await loadMapPage(page, options);
+
+  // PDF ve GeoTIFF için harita önce kayıpsız PNG olarak alınır
+  const imageFormat = format === 'pdf' || format === 'geotiff' ? 'png' : format;
+  let buffer = await page.screenshot(pageScreenshotOptions(imageFormat, options));
+  if (format === 'pdf') {
+    buffer = await renderPrintPdf(page, [buffer], layout);
+  } else if (format === 'geotiff' || options.worldFile) {
+    if (!status.view) {
+      throw new RenderError('Map view could not be read for georeferencing', 502, render);
+    }
+    buffer = await georeferenceOutput(buffer, status.view, options);
+  }
+  render.durationMs = Date.now() - startedAt;
+
+  return { buffer, render, view: status.view };
+}
+
+// Harita görüntülerini her biri ayrı sayfada olacak şekilde PDF'e yerleştir
+async function renderPrintPdf(page, images, layout) {
+  const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <style>
+      html, body { margin: 0; padding: 0; }
+      /* Yuvarlama yüzünden boş sayfa oluşmasın diye görüntü alandan biraz kısa tutulur */
+      img {
+        display: block;
+        width: ${layout.mapWidthMm}mm;
+        height: ${layout.mapHeightMm - 0.5}mm;
+        break-after: page;
+      }
+      img:last-child { break-after: auto; }
+    </style>
+  </head>
+  <body>
+    ${images.map(image => `<img src="data:image/png;base64,${Buffer.from(image).toString('base64')}" />`).join('\n    ')}
+  </body>
+</html>`;
+
+  await page.setContent(html, { waitUntil: 'load' });
+  const pdf = await page.pdf({
+    width: `${layout.pageWidthMm}mm`,
+    height: `${layout.pageHeightMm}mm`,
+    margin: {
+      top: `${layout.margin}mm`,
+      right: `${layout.margin}mm`,
+      bottom: `${layout.margin}mm`,
+      left: `${layout.margin}mm`
+    },
+    printBackground: true
+  });
+
+  return Buffer.from(pdf);
+}
+
+// Haritayı havuzdan alınan sayfada render et - { buffer, render } döndürür
+async function renderScreenshot(options) {
+  if (options.mosaic) {
+    return renderMosaic(options);
+  }
+
+  const page = await browserPool.acquirePage();
+
+  try {
+    const result = await renderOnPage(page, options);
+    await browserPool.releasePage(page);
+    return result;
+
+  } catch (err) {
+    // strict moddaki render hataları browser'ı bozmaz, diğerlerinde browser yenilenir
+    await browserPool.releasePage(page, { broken: !(err instanceof RenderError) });
+    throw err;
+  }
+}
+
+// Render özetini yanıt başlıklarına yaz
+function applyRenderHeaders(res, render) {
+  if (!render) {
+    return;
+  }
+  res.set('X-Render-Tiles-Total', String(render.tilesTotal));
+  res.set('X-Render-Tiles-Loaded', String(render.tilesLoaded));
+  res.set('X-Render-Tiles-Failed', String(render.tilesFailed));
+  res.set('X-Render-Timed-Out', String(render.timedOut));
+  res.set('X-Render-Duration-Ms', String(render.durationMs));
+}
+
+// Render hatasını JSON yanıtına çevir
+function sendRenderError(res, err) {
+  // Havuz doluysa istemci kısa süre sonra tekrar denemeli
+  if (err instanceof PoolBusyError) {
+    res.set('Retry-After', String(Math.ceil(browserPool.queueTimeoutMs / 1000)));
+  }
+  res.status(err.statusCode || 500).json({
+    error: 'Error generating screenshot',
+    message: err.message,
+    render: err.render
+  });
+}
+
+// Batch ayarları
+const MAX_BATCH_ITEMS = 500;
+
+// Batch öğelerini browser sayısı kadar worker ile render et - her worker tek sayfayı yeniden kullanır
+async function renderBatch(items, onResult, isCancelled) {
+  const queue = items.slice();
+  const workerCount = Math.min(browserPool.maxBrowsers, queue.length);
+
+  const worker = async () => {
+    let page = null;
+
+    try {
+      page = await browserPool.acquirePage();
+
+      while (queue.length > 0 && !isCancelled()) {
+        const item = queue.shift();
+        try {
+          const result = await renderOnPage(page, item.options);
+          onResult(item, result, null);
+        } catch (err) {
+          onResult(item, null, err);
+          // Hatalı render'dan sonra sayfa temiz olmayabilir, yenisini al
+          const broken = !(err instanceof RenderError);
+          const failed = page;
+          page = null;
+          await browserPool.releasePage(failed, { broken });
+          page = await browserPool.acquirePage();
+        }
+      }
+
+    } catch (err) {
+      console.error('Batch worker error:', err);
+    } finally {
+      if (page) {
+        await browserPool.releasePage(page);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  // Hiçbir worker'ın alamadığı öğeler hata olarak raporlanır
+  while (queue.length > 0) {
+    const item = queue.shift();
+    onResult(item, null, new Error(isCancelled() ? 'Batch cancelled' : 'No browser available'));
+  }
+}
+
+// Çok sayfalı baskı ayarları
+const MAX_PRINT_PAGES = 20;
+
+// Hazır harita görüntülerinden havuzdaki bir browser ile PDF üret
+async function composePrintPdf(images, layout) {
+  const page = await browserPool.acquirePage();
+
+  try {
+    const pdf = await renderPrintPdf(page, images, layout);
+    await browserPool.releasePage(page);
+    return pdf;
+
+  } catch (err) {
+    await browserPool.releasePage(page, { broken: true });
+    throw err;
+  }
+}
+
+// GeoTIFF ayarları - satır grupları (strip) ayrı ayrı deflate ile sıkıştırılır
+const GEOTIFF_STRIP_BYTES = 256 * 1024;
+const TIFF_TYPES = { ascii: [2, 1], short: [3, 2], long: [4, 4], double: [12, 8] };
+
+// Çerçeve görünümünden piksel -> harita koordinatı dönüşümü
+// x = a*col + b*row + c, y = d*col + e*row + f (piksel köşesine göre, çıktı pikseli cinsinden)
+function geoTransformFor(view, pixelRatio) {
+  const { center, resolution, rotation, size } = view;
+  const pixelSize = resolution / pixelRatio;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  // Sol üst köşe merkezden yarım çerçeve uzakta
+  const dx = -size[0] / 2 * resolution;
+  const dy = -size[1] / 2 * resolution;
+
+  return {
+    a: pixelSize * cos,
+    b: pixelSize * sin,
+    c: center[0] + dx * cos + dy * sin,
+    d: pixelSize * sin,
+    e: -pixelSize * cos,
+    f: center[1] + dx * sin - dy * cos
+  };
+}
+
+// World file içeriği - altı satır, koordinatlar sol üst pikselin merkezine göre
+function worldFileFor(transform) {
+  const { a, b, c, d, e, f } = transform;
+  return [a, d, b, e, c + (a + b) / 2, f + (d + e) / 2].map(value => value.toFixed(10)).join('\n') + '\n';
+}
+
+// Projeksiyonun GeoTIFF anahtarları - EPSG kodu yoksa proj4 tanımı açıklama olarak yazılır
+function geoKeysFor(projection) {
+  const epsg = /^EPSG:(\d+)$/i.exec(projection.code);
+  const geographic = projection.code === 'EPSG:4326' || /\+proj=longlat\b/.test(projection.proj4 || '');
+  const keys = [[1025, 1]];
+
+  if (!epsg) {
+    keys.push([1024, 32767]);
+    return { keys, citation: `${projection.code} ${projection.proj4}` };
+  }
+  keys.push([1024, geographic ? 2 : 1]);
+  keys.push(geographic ? [2048, Number(epsg[1])] : [3072, Number(epsg[1])]);
+  return { keys, citation: projection.code };
+}
+
+// RGBA piksellerden GeoTIFF üret
+async function encodeGeoTiff({ data, width, height }, transform, projection) {
+  const rowsPerStrip = Math.max(1, Math.floor(GEOTIFF_STRIP_BYTES / (width * 4)));
+  const strips = [];
+  for (let row = 0; row < height; row += rowsPerStrip) {
+    const end = Math.min(height, row + rowsPerStrip);
+    strips.push(await deflate(data.subarray(row * width * 4, end * width * 4)));
+  }
+
+  // Dönüş yoksa ölçek + bağlama noktası, varsa tam dönüşüm matrisi yazılır
+  const { a, b, c, d, e, f } = transform;
+  const georeference = b === 0 && d === 0
+    ? [[33550, 'double', [a, -e, 0]], [33922, 'double', [0, 0, 0, c, f, 0]]]
+    : [[34264, 'double', [a, b, 0, c, d, e, 0, f, 0, 0, 0, 0, 0, 0, 0, 1]]];
+
+  const { keys, citation } = geoKeysFor(projection);
+  const geoAscii = `${citation}|`;
+  keys.push([1026, null, geoAscii.length]);
+  keys.sort((left, right) => left[0] - right[0]);
+  const keyDirectory = [1, 1, 0, keys.length];
+  keys.forEach(([id, value, count]) => {
+    keyDirectory.push(...(value === null ? [id, 34737, count, 0] : [id, 0, 1, value]));
+  });
+
+  const tags = [
+    [256, 'long', [width]],
+    [257, 'long', [height]],
+    [258, 'short', [8, 8, 8, 8]],
+    [259, 'short', [8]],
+    [262, 'short', [2]],
+    [273, 'long', strips.map(() => 0)],
+    [277, 'short', [4]],
+    [278, 'long', [rowsPerStrip]],
+    [279, 'long', strips.map(strip => strip.length)],
+    [284, 'short', [1]],
+    [338, 'short', [2]],
+    ...georeference,
+    [34735, 'short', keyDirectory],
+    [34737, 'ascii', `${geoAscii}\0`]
+  ];
+
+  // Yerleşim: başlık, IFD, 4 byte'a sığmayan tag değerleri, sonra strip'ler
+  const ifdSize = 2 + tags.length * 12 + 4;
+  let offset = 8 + ifdSize;
+  const placed = tags.map(([tag, type, values]) => {
+    const byteLength = values.length * TIFF_TYPES[type][1];
+    const entry = { tag, type, values, byteLength, offset: null };
+    if (byteLength > 4) {
+      offset += offset % 2;
+      entry.offset = offset;
+      offset += byteLength;
+    }
+    return entry;
+  });
+  placed.find(entry => entry.tag === 273).values = strips.map((strip, index) =>
+    offset + strips.slice(0, index).reduce((sum, item) => sum + item.length, 0));
+
+  const header = Buffer.alloc(offset);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(8, 4);
+  header.writeUInt16LE(tags.length, 8);
+
+  placed.forEach((entry, index) => {
+    const position = 10 + index * 12;
+    header.writeUInt16LE(entry.tag, position);
+    header.writeUInt16LE(TIFF_TYPES[entry.type][0], position + 2);
+    header.writeUInt32LE(entry.values.length, position + 4);
+
+    let cursor = entry.offset === null ? position + 8 : entry.offset;
+    if (entry.offset !== null) {
+      header.writeUInt32LE(entry.offset, position + 8);
+    }
+    if (entry.type === 'ascii') {
+      header.write(entry.values, cursor, 'latin1');
+      return;
+    }
+    for (const value of entry.values) {
+      if (entry.type === 'short') {
+        header.writeUInt16LE(value, cursor);
+      } else if (entry.type === 'long') {
+        header.writeUInt32LE(value, cursor);
+      } else {
+        header.writeDoubleLE(value, cursor);
+      }
+      cursor += TIFF_TYPES[entry.type][1];
+    }
+  });
+  header.writeUInt32LE(0, 10 + tags.length * 12);
+
+  return Buffer.concat([header, ...strips]);
+}
+
+// Görüntü, world file ve (WKT biliniyorsa) .prj dosyasını ZIP olarak paketle
+function packageWorldFile(image, format, transform, projection) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    const extension = format === 'jpeg' ? 'jpg' : format;
+    archive.append(image, { name: `map.${extension}` });
+    archive.append(worldFileFor(transform), { name: `map.${WORLD_FILE_EXTENSIONS[format]}` });
+    if (projection.wkt) {
+      archive.append(projection.wkt, { name: 'map.prj' });
+    }
+    archive.finalize();
+  });
+}
+
+// Render edilen görüntüyü istenen coğrafi referanslı çıktıya çevir
+async function georeferenceOutput(image, view, options) {
+  const transform = geoTransformFor(view, options.scale || 1);
+  const projection = resolveProjection(options.projection);
+  // image ya screenshot (kodlanmış) ya da mozaikten gelen ham RGBA { data, width, height }
+  const encoded = ArrayBuffer.isView(image) ? Buffer.from(image) : null;
+
+  if (options.format === 'geotiff') {
+    return encodeGeoTiff(encoded ? PNG.sync.read(encoded) : image, transform, projection);
+  }
+
+  const output = encoded || PNG.sync.write(image);
+  return options.worldFile ? packageWorldFile(output, options.format, transform, projection) : output;
+}
+
+// Mosaic Limiter Class - Aynı anda çalışan mozaik sayısını ve ayırdıkları belleği sınırlar
+class MosaicLimiter {
+  constructor({ maxActive, maxBytes, queueLimit, queueTimeoutMs }) {
+    this.maxActive = maxActive;
+    this.maxBytes = maxBytes;
+    this.queueLimit = queueLimit;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.active = 0;
+    this.bytes = 0;
+    this.waiters = [];
+    this.totals = { started: 0, queued: 0, queueTimeouts: 0, rejected: 0 };
+  }
+
+  // Bütçeyi tek başına aşan mozaik ancak başka mozaik yokken çalışır
+  fits(bytes) {
+    return this.active === 0 || (this.active < this.maxActive && this.bytes + bytes <= this.maxBytes);
+  }
+
+  take(bytes) {
+    this.active++;
+    this.bytes += bytes;
+    this.totals.started++;
+    return () => this.release(bytes);
+  }
+
+  // Yer ayır - dönen fonksiyon yeri bırakır; kuyruk doluysa ya da süre dolarsa PoolBusyError
+  acquire(bytes) {
+    if (this.waiters.length === 0 && this.fits(bytes)) {
+      return Promise.resolve(this.take(bytes));
+    }
+    if (this.waiters.length >= this.queueLimit) {
+      this.totals.rejected++;
+      return Promise.reject(new PoolBusyError(`Mosaic queue is full (${this.queueLimit} waiting), try again later`));
+    }
+
+    this.totals.queued++;
+    return new Promise((resolve, reject) => {
+      const waiter = { bytes, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        this.totals.queueTimeouts++;
+        reject(new PoolBusyError(`No mosaic slot became available within ${this.queueTimeoutMs / 1000}s`));
+      }, this.queueTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  release(bytes) {
+    this.active--;
+    this.bytes -= bytes;
+    // Sıra korunur, öndeki sığmıyorsa arkadakiler de bekler
+    while (this.waiters.length > 0 && this.fits(this.waiters[0].bytes)) {
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.take(waiter.bytes));
+    }
+  }
+
+  stats() {
+    return {
+      active: this.active,
+      maxActive: this.maxActive,
+      reservedBytes: this.bytes,
+      maxBytes: this.maxBytes,
+      waiting: this.waiters.length,
+      queueLimit: this.queueLimit,
+      totals: { ...this.totals }
+    };
+  }
+}
+
+const mosaicLimiter = new MosaicLimiter({
+  maxActive: MOSAIC_CONCURRENCY,
+  maxBytes: MOSAIC_MEMORY_BYTES,
+  queueLimit: MOSAIC_QUEUE_LIMIT,
+  queueTimeoutMs: BROWSER_QUEUE_TIMEOUT_MS
+});
+
+// Mozaiğin bellek ihtiyacı - RGBA tuval ve kodlama sırasında oluşan tam boyutlu kopya
+function mosaicMemoryBytes({ width, height, scale = 1 }) {
+  return Math.round(width * scale) * Math.round(height * scale) * 4 * 2;
+}
+
+// Büyük çıktıyı sayfa boyutunda parçalara bölüp havuzdaki sayfalarla render et ve tek görüntüde birleştir
+// Tuval ayrılmadan önce mozaik sınırlayıcıdan yer alınır
+async function renderMosaic(options) {
+  const release = await mosaicLimiter.acquire(mosaicMemoryBytes(options));
+  try {
+    return await renderMosaicParts(options);
+  } finally {
+    release();
+  }
+}
+
+async function renderMosaicParts(options) {
+  const { width, height, scale = 1, waitStrategy = 'lenient' } = options;
+  const startedAt = Date.now();
+  const outputWidth = Math.round(width * scale);
+  const outputHeight = Math.round(height * scale);
+  const pixels = Buffer.alloc(outputWidth * outputHeight * 4);
+
+  const items = [];
+  for (let y = 0; y < height; y += MOSAIC_TILE_SIZE) {
+    for (let x = 0; x < width; x += MOSAIC_TILE_SIZE) {
+      items.push({
+        x,
+        y,
+        options: {
+          ...options,
+          width: Math.min(MOSAIC_TILE_SIZE, width - x),
+          height: Math.min(MOSAIC_TILE_SIZE, height - y),
+          format: 'png',
+          worldFile: false,
+          mosaic: false,
+          frame: { size: [width, height], offset: [x, y] }
+        }
+      });
+    }
+  }
+
+  const render = {
+    tilesTotal: 0,
+    tilesLoaded: 0,
+    tilesFailed: 0,
+    timedOut: false,
+    waitStrategy,
+    durationMs: 0,
+    mosaicParts: items.length
+  };
+  const failures = [];
+  let view = null;
+
+  await renderBatch(items, (item, result, err) => {
+    if (err) {
+      failures.push(err);
+      return;
+    }
+
+    view = view || result.view;
+    render.tilesTotal += result.render.tilesTotal;
+    render.tilesLoaded += result.render.tilesLoaded;
+    render.tilesFailed += result.render.tilesFailed;
+    render.timedOut = render.timedOut || result.render.timedOut;
+
+    // Parça satır satır büyük görüntüye kopyalanır, taşan kenarlar kırpılır
+    const part = PNG.sync.read(Buffer.from(result.buffer));
+    const left = Math.round(item.x * scale);
+    const top = Math.round(item.y * scale);
+    const copyWidth = Math.min(part.width, outputWidth - left);
+    for (let row = 0; row < part.height && top + row < outputHeight; row++) {
+      const source = row * part.width * 4;
+      part.data.copy(pixels, ((top + row) * outputWidth + left) * 4, source, source + copyWidth * 4);
+    }
+  }, () => false);
+
+  render.durationMs = Date.now() - startedAt;
+  if (failures.length > 0) {
+    throw new RenderError(
+      `${failures.length} of ${items.length} mosaic parts failed, first: ${failures[0].message}`,
+      failures[0].statusCode || 502,
+      render
+    );
+  }
+
+  const buffer = await georeferenceOutput({ data: pixels, width: outputWidth, height: outputHeight }, view, options);
+  render.durationMs = Date.now() - startedAt;
+  return { buffer, render, view };
+}
+
+// Animasyon ayarları - kareler tek sayfada WMS TIME değeri ve görünüm güncellenerek çizilir
+const ANIMATION_FORMATS = ['gif', 'webp', 'zip'];
+const ANIMATION_FRAME_FORMATS = ['jpeg', 'png', 'webp'];
+const ANIMATION_CONTENT_TYPES = { gif: 'image/gif', webp: 'image/webp', zip: 'application/zip' };
+const MAX_ANIMATION_FRAMES = 50;
+const MAX_ANIMATION_PIXELS = 50 * 1000 * 1000; // tüm karelerin toplamı
+const DEFAULT_FRAME_DELAY_MS = 500;
+const ISO_DURATION_PATTERN = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// ISO 8601 süresini milisaniyeye çevir - ay ve yıl uzunluğu sabit olmadığından sadece gün, saat, dakika ve saniye
+function parseIsoDuration(value) {
+  const match = typeof value === 'string' ? ISO_DURATION_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+  const ms = (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return ms > 0 ? ms : null;
+}
+
+// TIME aralığını adımlara böl - sınırı aşan aralıklar doğrulamada yakalansın diye bir fazla değer üretilir
+function expandTimeRange({ start, end, step }) {
+  const stepMs = parseIsoDuration(step);
+  const endMs = Date.parse(end);
+  const times = [];
+  for (let time = Date.parse(start); time <= endMs && times.length <= MAX_ANIMATION_FRAMES; time += stepMs) {
+    times.push(new Date(time).toISOString().replace('.000Z', 'Z'));
+  }
+  return times;
+}
+
+// Tek animasyon karesi kontrolü - görünüm alanları screenshot şemasının sınırlarını kullanır
+function validateAnimationFrame(frame, prefix) {
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const errors = [];
+  if (frame.time !== undefined && (typeof frame.time !== 'string' || frame.time.length === 0 || frame.time.length > 200)) {
+    errors.push(`${prefix} time must be a TIME string of at most 200 characters`);
+  }
+  if ((frame.lat === undefined) !== (frame.lon === undefined)) {
+    errors.push(`${prefix} lat and lon must be given together`);
+  }
+  ['lat', 'lon', 'zoom', 'bearing'].forEach(name => {
+    if (frame[name] !== undefined) {
+      errors.push(...checkSchemaValue(name, SCREENSHOT_SCHEMA[name], frame[name]).map(message => `${prefix} ${message}`));
+    }
+  });
+  if (frame.delay !== undefined && (typeof frame.delay !== 'number' || !(frame.delay >= 20 && frame.delay <= 10000))) {
+    errors.push(`${prefix} delay must be a number of milliseconds between 20 and 10000`);
+  }
+  if (['time', 'lat', 'zoom', 'bearing'].every(name => frame[name] === undefined)) {
+    errors.push(`${prefix} needs at least one of time, lat/lon, zoom or bearing`);
+  }
+
+  return errors;
+}
+
+// Animasyon ayarları kontrolü - kare kaynağı times, timeRange ya da frames'ten biri olmalı
+function validateAnimation(animation, options) {
+  if (!animation || typeof animation !== 'object' || Array.isArray(animation)) {
+    return ['animation must be an object with times, timeRange or frames'];
+  }
+
+  const errors = [];
+  const sources = ['times', 'timeRange', 'frames'].filter(name => animation[name] !== undefined);
+  if (sources.length !== 1) {
+    errors.push('animation needs exactly one of times, timeRange or frames');
+  }
+
+  if (animation.times !== undefined &&
+      (!Array.isArray(animation.times) || animation.times.some(time => typeof time !== 'string' || time.length === 0 || time.length > 200))) {
+    errors.push('animation times must be an array of TIME strings of at most 200 characters');
+  }
+  if (animation.timeRange !== undefined) {
+    const { start, end, step } = animation.timeRange && typeof animation.timeRange === 'object' ? animation.timeRange : {};
+    if (typeof start !== 'string' || typeof end !== 'string' || !(Date.parse(start) <= Date.parse(end))) {
+      errors.push('animation timeRange start and end must be ISO 8601 dates with start not after end');
+    }
+    if (!parseIsoDuration(step)) {
+      errors.push('animation timeRange step must be an ISO 8601 duration in days, hours, minutes or seconds such as PT1H or P1D');
+    }
+  }
+  if (animation.frames !== undefined) {
+    if (!Array.isArray(animation.frames)) {
+      errors.push('animation frames must be an array of frame objects');
+    } else {
+      animation.frames.forEach((frame, index) => {
+        errors.push(...validateAnimationFrame(frame, `animation frame ${index + 1}:`));
+      });
+    }
+  }
+
+  if (animation.delay !== undefined && (typeof animation.delay !== 'number' || !(animation.delay >= 20 && animation.delay <= 10000))) {
+    errors.push('animation delay must be a number of milliseconds between 20 and 10000');
+  }
+  if (animation.loop !== undefined && typeof animation.loop !== 'boolean') {
+    errors.push('animation loop must be a boolean');
+  }
+  if (animation.format !== undefined && !ANIMATION_FORMATS.includes(animation.format)) {
+    errors.push(`animation format must be one of: ${ANIMATION_FORMATS.join(', ')}`);
+  }
+  // pdf ve geotiff baskı/dosya çıktılarıdır, kare olarak render edilemez
+  if (!ANIMATION_FRAME_FORMATS.includes(options.format)) {
+    errors.push(`format of animation frames must be one of: ${ANIMATION_FRAME_FORMATS.join(', ')}`);
+  }
+  if (options.print || options.mosaic || options.worldFile) {
+    errors.push('animation cannot be combined with print, mosaic or worldFile');
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Kare sayısı ve toplam piksel bütçesi
+  const frames = expandAnimationFrames(animation, options);
+  if (frames.length < 2 || frames.length > MAX_ANIMATION_FRAMES) {
+    errors.push(`animation must have between 2 and ${MAX_ANIMATION_FRAMES} frames`);
+  }
+  const { width, height, scale } = options;
+  if (width * height * scale * scale * frames.length > MAX_ANIMATION_PIXELS) {
+    errors.push(`${frames.length} frames of ${width}x${height} at scale ${scale} exceed the animation budget of ${MAX_ANIMATION_PIXELS} pixels`);
+  }
+  // TIME değerleri sadece WMS katmanlarına uygulanır
+  const hasWms = collectOverlays(options.wms, options.overlays).some(layer => layer.type === 'wms');
+  if (!hasWms && frames.some(frame => frame.time !== null)) {
+    errors.push('animation TIME values need at least one WMS layer');
+  }
+
+  return errors;
+}
+
+// Kare zaman damgası - TIME tarih olarak okunamıyorsa (aralık, current gibi) olduğu gibi yazılır
+function frameTimestampText(timestamp, time) {
+  const date = new Date(time);
+  if (Number.isNaN(date.getTime())) {
+    return `${timestamp.prefix ? `${timestamp.prefix} ` : ''}${time}`;
+  }
+  return formatTimestamp(timestamp, date);
+}
+
+// Animasyon ayarlarını kare listesine çevir - verilmeyen alanlar null, görünüm bir önceki kareden kalır
+function expandAnimationFrames(animation, { decorations }) {
+  const delay = animation.delay !== undefined ? animation.delay : DEFAULT_FRAME_DELAY_MS;
+  const entries = animation.frames || (animation.times || expandTimeRange(animation.timeRange)).map(time => ({ time }));
+  const timestamp = decorations && decorations.timestamp
+    ? (decorations.timestamp === true ? {} : decorations.timestamp)
+    : null;
+
+  return entries.map(entry => ({
+    time: entry.time !== undefined ? entry.time : null,
+    lat: entry.lat !== undefined ? entry.lat : null,
+    lon: entry.lon !== undefined ? entry.lon : null,
+    zoom: entry.zoom !== undefined ? entry.zoom : null,
+    bearing: entry.bearing !== undefined ? entry.bearing : null,
+    delay: entry.delay !== undefined ? entry.delay : delay,
+    timestampText: timestamp && entry.time !== undefined ? frameTimestampText(timestamp, entry.time) : null
+  }));
+}
+
+// İlk karenin TIME değerini WMS katmanlarına yaz - sayfa bu değerle kurulur, boşa tile yüklenmez
+function withFrameTime({ wms, overlays }, time) {
+  if (time === null) {
+    return {};
+  }
+  return {
+    wms: wms ? wms.map(layer => ({ ...layer, time })) : wms,
+    overlays: overlays ? overlays.map(layer => ((layer.type || 'wms') === 'wms' ? { ...layer, time } : layer)) : overlays
+  };
+}
+
+// Animasyon karelerini tek sayfada sırayla render et ve istenen formatta kodla - { buffer, render } döndürür
+async function renderAnimation(options) {
+  const { animation } = options;
+  const frames = expandAnimationFrames(animation, options);
+  const outputFormat = animation.format || 'gif';
+  // GIF kareleri paletlenmeden önce kayıpsız alınır, WebP kareleri olduğu gibi animasyona eklenir
+  const frameFormat = outputFormat === 'zip' ? options.format : outputFormat === 'webp' ? 'webp' : 'png';
+  const startedAt = Date.now();
+
+  const render = {
+    tilesTotal: 0,
+    tilesLoaded: 0,
+    tilesFailed: 0,
+    timedOut: false,
+    waitStrategy: options.waitStrategy || 'lenient',
+    durationMs: 0,
+    frames: frames.length
+  };
+  const addRender = frameRender => {
+    render.tilesTotal += frameRender.tilesTotal;
+    render.tilesLoaded += frameRender.tilesLoaded;
+    render.tilesFailed += frameRender.tilesFailed;
+    render.timedOut = render.timedOut || frameRender.timedOut;
+  };
+
+  const captured = [];
+  const page = await browserPool.acquirePage();
+  let current = 0;
+
+  try {
+    const [first] = frames;
+    const loaded = await loadMapPage(page, {
+      ...options,
+      ...withFrameTime(options, first.time),
+      format: frameFormat,
+      timestampText: first.timestampText
+    });
+    addRender(loaded.render);
+
+    for (const [index, frame] of frames.entries()) {
+      current = index;
+      const hasView = frame.lat !== null || frame.zoom !== null || frame.bearing !== null;
+      let frameRender = loaded.render;
+
+      // Sonraki kareler (ve görünümü olan ilk kare) sayfa yeniden kurulmadan çizilir
+      if (index > 0 || hasView) {
+        const frameStartedAt = Date.now();
+        await page.evaluate(pageFrame => window.applyFrame(pageFrame), {
+          time: frame.time,
+          center: frame.lat !== null ? [frame.lon, frame.lat] : null,
+          zoom: frame.zoom,
+          // bearing saat yönünde derece, OpenLayers rotation saat yönünün tersine radyan
+          rotation: frame.bearing !== null ? -frame.bearing * Math.PI / 180 : null,
+          timestampText: frame.timestampText
+        });
+        frameRender = (await waitForRender(page, options, frameStartedAt)).render;
+        addRender(frameRender);
+      }
+
+      const image = await page.screenshot(pageScreenshotOptions(frameFormat, options));
+      captured.push({ image: Buffer.from(image), time: frame.time, delay: frame.delay, render: frameRender });
+    }
+
+    await browserPool.releasePage(page);
+
+  } catch (err) {
+    await browserPool.releasePage(page, { broken: !(err instanceof RenderError) });
+    if (err instanceof RenderError) {
+      err.message = `Frame ${current + 1} of ${frames.length}: ${err.message}`;
+    }
+    throw err;
+  }
+
+  const loop = animation.loop !== false;
+  let buffer;
+  if (outputFormat === 'gif') {
+    buffer = encodeAnimatedGif(captured, { loop, transparent: options.basemap === 'none' });
+  } else if (outputFormat === 'webp') {
+    buffer = encodeAnimatedWebp(captured, { loop });
+  } else {
+    buffer = await packageAnimationFrames(captured, frameFormat);
+  }
+  render.durationMs = Date.now() - startedAt;
+
+  return { buffer, render };
+}
+
+// Kareleri animasyonlu GIF'e çevir - her kare kendi 256 renklik paletiyle
+// Altlık yoksa yarı saydam pikseller tam saydam ya da tam opak olur
+function encodeAnimatedGif(frames, { loop, transparent }) {
+  const gif = GIFEncoder();
+  const colorFormat = transparent ? 'rgba4444' : 'rgb565';
+
+  frames.forEach(({ image, delay }) => {
+    const { data, width, height } = PNG.sync.read(image);
+    const palette = quantize(data, 256, { format: colorFormat, oneBitAlpha: transparent });
+    const transparentIndex = transparent ? palette.findIndex(color => color[3] === 0) : -1;
+    gif.writeFrame(applyPalette(data, palette, colorFormat), width, height, {
+      palette,
+      delay,
+      repeat: loop ? 0 : -1,
+      transparent: transparentIndex >= 0,
+      transparentIndex: Math.max(transparentIndex, 0),
+      // Saydam karelerde bir önceki kare alttan görünmesin
+      dispose: transparent ? 2 : -1
+    });
+  });
+
+  gif.finish();
+  return Buffer.from(gif.bytes());
+}
+
+// WebP dosyasını RIFF parçalarına ayır - [{ fourcc, data }]
+function readWebpChunks(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    throw new Error('Frame is not a WebP image');
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4);
+    chunks.push({ fourcc: buffer.toString('ascii', offset, offset + 4), data: buffer.subarray(offset + 8, offset + 8 + size) });
+    // Tek uzunluklu parçalar bir bayt dolgu ile biter
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+// WebP karesinin boyutu ve saydamlığı - VP8X, kayıpsız (VP8L) ya da kayıplı (VP8) başlığından
+function webpFrameInfo(chunks) {
+  const find = fourcc => chunks.find(chunk => chunk.fourcc === fourcc);
+  const extended = find('VP8X');
+  const lossless = find('VP8L');
+  const lossy = find('VP8 ');
+
+  if (extended) {
+    return {
+      width: extended.data.readUIntLE(4, 3) + 1,
+      height: extended.data.readUIntLE(7, 3) + 1,
+      alpha: Boolean(extended.data[0] & 0x10)
+    };
+  }
+  if (lossless) {
+    // 0x2f imzasından sonra 14 bit genişlik-1, 14 bit yükseklik-1, 1 bit alfa
+    const bits = lossless.data.readUInt32LE(1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, alpha: Boolean((bits >> 28) & 1) };
+  }
+  if (lossy) {
+    // 3 bayt kare etiketi ve 3 bayt başlangıç kodundan sonra 14 bit genişlik ve yükseklik
+    return { width: lossy.data.readUInt16LE(6) & 0x3fff, height: lossy.data.readUInt16LE(8) & 0x3fff, alpha: false };
+  }
+  throw new Error('WebP frame has no image data');
+}
+
+// RIFF parçası - başlık, veri ve gerekirse dolgu baytı
+function riffChunk(fourcc, data) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+// Tek kareli WebP'leri yeniden kodlamadan animasyonlu WebP'ye (VP8X + ANIM + ANMF) paketle
+function encodeAnimatedWebp(frames, { loop }) {
+  let canvasWidth = 0;
+  let canvasHeight = 0;
+  let alpha = false;
+
+  const animationFrames = frames.map(({ image, delay }) => {
+    const chunks = readWebpChunks(image);
+    const info = webpFrameInfo(chunks);
+    canvasWidth = Math.max(canvasWidth, info.width);
+    canvasHeight = Math.max(canvasHeight, info.height);
+    alpha = alpha || info.alpha || chunks.some(chunk => chunk.fourcc === 'ALPH');
+
+    // x ve y (2 piksel birimi), genişlik-1, yükseklik-1, süre (ms) 24 bit; bayrak: karıştırma yok
+    const header = Buffer.alloc(16);
+    header.writeUIntLE(info.width - 1, 6, 3);
+    header.writeUIntLE(info.height - 1, 9, 3);
+    header.writeUIntLE(delay, 12, 3);
+    header[15] = 0x02;
+    const bitstream = chunks
+      .filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.fourcc))
+      .map(chunk => riffChunk(chunk.fourcc, chunk.data));
+    return riffChunk('ANMF', Buffer.concat([header, ...bitstream]));
+  });
+
+  // VP8X bayrakları: animasyon ve (varsa) alfa, ardından tuval boyutu
+  const extended = Buffer.alloc(10);
+  extended[0] = 0x02 | (alpha ? 0x10 : 0);
+  extended.writeUIntLE(canvasWidth - 1, 4, 3);
+  extended.writeUIntLE(canvasHeight - 1, 7, 3);
+  // ANIM: arka plan rengi (BGRA) ve döngü sayısı, 0 sonsuz
+  const animationHeader = Buffer.alloc(6);
+  animationHeader.writeUInt16LE(loop ? 0 : 1, 4);
+
+  const body = Buffer.concat([
+    Buffer.from('WEBP', 'ascii'),
+    riffChunk('VP8X', extended),
+    riffChunk('ANIM', animationHeader),
+    ...animationFrames
+  ]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+// Kareleri sıralı dosyalar ve manifest.json ile ZIP olarak paketle
+function packageAnimationFrames(frames, format) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    const extension = fileExtensionFor({ format });
+    const manifest = frames.map(({ image, time, delay, render }, index) => {
+      const file = `frame-${String(index + 1).padStart(3, '0')}.${extension}`;
+      archive.append(image, { name: file });
+      return { index, file, time, delay, bytes: image.length, render };
+    });
+    archive.append(JSON.stringify({ total: frames.length, frames: manifest }, null, 2), { name: 'manifest.json' });
+    archive.finalize();
+  });
+}
+
+// Render cache ayarları - RENDER_CACHE_MAX_MB=0 cache'i kapatır
+const RENDER_CACHE_MAX_BYTES = (process.env.RENDER_CACHE_MAX_MB !== undefined
+  ? parseFloat(process.env.RENDER_CACHE_MAX_MB)
+  : 100) * 1024 * 1024;
+const RENDER_CACHE_TTL_MS = (parseInt(process.env.RENDER_CACHE_TTL_SECONDS) || 300) * 1000;
+const RENDER_CACHE_DIR = process.env.RENDER_CACHE_DIR || null;
+
+// Cache anahtarı için seçenekleri normalize et - anahtarlar sıralanır, boş değerler atılır
+function normalizeForCache(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeForCache);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== null && value[key] !== undefined) {
+        result[key] = normalizeForCache(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+function getCacheKey(options) {
+  const normalized = normalizeForCache(options);
+  // Kalite sadece JPEG çıktısını etkiler
+  if (normalized.format !== 'jpeg') {
+    delete normalized.quality;
+  }
+  // Cache'e sadece eksiksiz renderlar girdiği için bekleme ayarları sonucu değiştirmez
+  delete normalized.timeout;
+  delete normalized.waitStrategy;
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+// Render Cache Class - Aynı istekler için sayfa açmadan hazır görüntüyü döndürme
+class RenderCache {
+  constructor({ maxBytes, ttlMs, diskDir }) {
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.diskDir = diskDir;
+    // Map ekleme sırasını korur - en eski eleman LRU'dur
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+
+    if (this.diskDir) {
+      fs.mkdirSync(this.diskDir, { recursive: true });
+      // Süresi dolan disk kayıtları periyodik olarak silinir
+      setInterval(() => this.sweepDisk().catch(console.error), this.ttlMs).unref();
+    }
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+    if (entry && Date.now() - entry.createdAt < this.ttlMs) {
+      // LRU: son kullanılanı sona taşı
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.hits++;
+      return entry;
+    }
+    if (entry) {
+      this.remove(key);
+    }
+
+    // Bellekte yoksa disk katmanına bak
+    const diskEntry = await this.readDisk(key);
+    if (diskEntry) {
+      this.store(key, diskEntry);
+      this.hits++;
+      return diskEntry;
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  async set(key, buffer, format, render) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = {
+      buffer,
+      format,
+      render,
+      etag: `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`,
+      createdAt: Date.now()
+    };
+
+    this.store(key, entry);
+    await this.writeDisk(key, entry);
+    return entry;
+  }
+
+  // Bellek katmanına ekle ve bütçe aşıldıysa en eski kayıtları at
+  store(key, entry) {
+    if (entry.buffer.length > this.maxBytes) {
+      return;
+    }
+
+    this.remove(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.buffer.length;
+
+    for (const oldestKey of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.remove(oldestKey);
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.buffer.length;
+      this.entries.delete(key);
+    }
+  }
+
+  async readDisk(key) {
+    if (!this.diskDir) {
+      return null;
+    }
+
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(path.join(this.diskDir, `${key}.json`), 'utf8'));
+      if (Date.now() - meta.createdAt >= this.ttlMs) {
+        await this.removeDisk(key);
+        return null;
+      }
+      const buffer = await fs.promises.readFile(path.join(this.diskDir, `${key}.bin`));
+      return { ...meta, buffer };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async writeDisk(key, { buffer, format, render, etag, createdAt }) {
+    if (!this.diskDir) {
+      return;
+    }
+
+    try {
+      await fs.promises.writeFile(path.join(this.diskDir, `${key}.bin`), buffer);
+      await fs.promises.writeFile(path.join(this.diskDir, `${key}.json`), JSON.stringify({ format, render, etag, createdAt }));
+    } catch (err) {
+      console.error('Render cache disk write error:', err.message);
+    }
+  }
+
+  async removeDisk(key) {
+    await Promise.all(['bin', 'json'].map(extension =>
+      fs.promises.rm(path.join(this.diskDir, `${key}.${extension}`), { force: true })
+    ));
+  }
+
+  async sweepDisk() {
+    const files = await fs.promises.readdir(this.diskDir);
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const key = file.slice(0, -'.json'.length);
+      // readDisk süresi dolmuş kaydı kendisi siler
+      await this.readDisk(key);
+    }
+  }
+
+  // Bellek ve diskteki tüm kayıtları sil
+  async purge() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+
+    if (this.diskDir) {
+      const files = await fs.promises.readdir(this.diskDir);
+      await Promise.all(files
+        .filter(file => /\.(bin|json)$/.test(file))
+        .map(file => fs.promises.rm(path.join(this.diskDir, file), { force: true })));
+    }
+
+    return removed;
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ttlSeconds: this.ttlMs / 1000,
+      disk: Boolean(this.diskDir),
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+const renderCache = new RenderCache({
+  maxBytes: RENDER_CACHE_MAX_BYTES,
+  ttlMs: RENDER_CACHE_TTL_MS,
+  diskDir: RENDER_CACHE_DIR
+});
+
+// Aynı anahtar için süren renderlar - eşzamanlı aynı istekler tek render'ı bekler
+const inflightRenders = new Map();
+
+// Cache'e bakarak render et - { buffer, render, etag, cacheStatus } döndürür
+async function renderWithCache(options) {
+  const key = getCacheKey(options);
+
+  const cached = await renderCache.get(key);
+  if (cached) {
+    return { buffer: cached.buffer, render: cached.render, etag: cached.etag, cacheStatus: 'HIT' };
+  }
+
+  // Eşzamanlı aynı istekler aynı render'ı bekler - farklı waitStrategy'ler ayrı render edilir
+  const inflightKey = `${key}:${options.waitStrategy}`;
+  if (!inflightRenders.has(inflightKey)) {
+    const pending = (async () => {
+      const { buffer, render } = await renderScreenshot(options);
+      // Eksik tile'lı ya da zaman aşımına uğramış renderlar cache'lenmez
+      const complete = !render.timedOut && render.tilesFailed === 0;
+      // Zaman damgalı görüntüler her istekte yeniden üretilmeli
+      const timestamped = Boolean(options.decorations && options.decorations.timestamp);
+      const entry = complete && !timestamped ? await renderCache.set(key, buffer, options.format, render) : null;
+      return { buffer, render, etag: entry ? entry.etag : null, cached: Boolean(entry) };
+    })();
+    inflightRenders.set(inflightKey, pending);
+    pending.finally(() => inflightRenders.delete(inflightKey)).catch(() => {});
+  }
+
+  const { buffer, render, etag, cached: stored } = await inflightRenders.get(inflightKey);
+  return { buffer, render, etag, cacheStatus: stored ? 'MISS' : 'BYPASS' };
+}
+
+// Cache yanıt başlıklarını yaz - istemcideki kopya güncelse true döner (304 gönderilmeli)
+function applyCacheHeaders(req, res, { etag, cacheStatus }) {
+  res.set('X-Cache-Status', cacheStatus);
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  return Boolean(etag) && req.fresh;
+}
+
+// Admin route'ları - ADMIN_TOKEN tanımlı değilse kapalı
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(403).json({
+      error: 'Admin routes are disabled, set ADMIN_TOKEN to enable them'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Token') || '');
+  const expected = Buffer.from(adminToken);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      error: 'Invalid admin token'
+    });
+  }
+
+  next();
+}
+
+// Render iş kuyruğu ayarları - ortam değişkenleriyle değiştirilebilir
+const JOB_WORKERS = parseInt(process.env.JOB_WORKERS) || 2;
+const JOB_QUEUE_LIMIT = parseInt(process.env.JOB_QUEUE_LIMIT) || 100;
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const JOB_RESULTS_MAX_BYTES = (parseInt(process.env.JOB_RESULTS_MAX_MB) || 512) * 1024 * 1024;
+
+// Render Job Queue Class - Uzun renderları HTTP isteğinden ayırıp arka planda çalıştırma
+class RenderJobQueue {
+  constructor(workers, { maxResultBytes }) {
+    this.workers = workers;
+    this.maxResultBytes = maxResultBytes;
+    this.active = 0;
+    this.queue = [];
+    this.jobs = new Map();
+    // Bellekte tutulan sonuçlar, en eskisi başta
+    this.results = [];
+    this.resultBytes = 0;
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  add(options, { baseUrl, callbackUrl = null, owner = null }) {
+    const id = crypto.randomUUID();
+    const job = {
+      id,
+      owner,
+      status: 'queued',
+      options,
+      format: options.format,
+      worldFile: options.worldFile,
+      callbackUrl,
+      resultUrl: `${baseUrl}/jobs/${id}/result`,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      render: null
+    };
+
+    this.jobs.set(id, job);
+    this.queue.push(job);
+    this.next();
+    return job;
+  }
+
+  // İşi ara - anahtarlar açıksa iş sadece onu oluşturan anahtara görünür
+  get(id, owner = null) {
+    const job = this.jobs.get(id);
+    if (!job || (owner !== null && job.owner !== owner)) {
+      return null;
+    }
+    return job;
+  }
+
+  // Boş worker olduğu sürece kuyruktan iş çek
+  next() {
+    while (this.active < this.workers && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+      this.run(job).finally(() => {
+        this.active--;
+        this.next();
+      });
+    }
+  }
+
+  async run(job) {
+    job.status = 'rendering';
+    job.startedAt = new Date().toISOString();
+    console.log(`Job ${job.id} rendering: ${describeRequest(job.options)}`);
+
+    try {
+      const { buffer, render } = await renderScreenshot(job.options);
+      job.result = buffer;
+      job.render = render;
+      job.status = 'done';
+      this.keepResult(job);
+      recordRender('POST /jobs', job.format, { render });
+      console.log(`Job ${job.id} done: ${job.result.length} bytes`);
+    } catch (err) {
+      recordRender('POST /jobs', job.format, null, err);
+      job.status = 'failed';
+      job.error = err.message;
+      job.render = err.render || null;
+      console.error(`Job ${job.id} failed:`, err);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    // Render seçenekleri artık gerekmiyor, büyük GeoJSON'lar bellekte kalmasın
+    job.options = null;
+
+    if (job.callbackUrl) {
+      await this.notify(job);
+    }
+
+    // Biten işler TTL sonunda silinir
+    setTimeout(() => {
+      this.dropResult(job);
+      this.jobs.delete(job.id);
+    }, JOB_TTL_MS).unref();
+  }
+
+  // Sonucu bütçeye ekle - bütçe aşılırsa en eski sonuçlar silinir, en yeni sonuç her zaman tutulur
+  keepResult(job) {
+    this.results.push(job);
+    this.resultBytes += job.result.length;
+    while (this.resultBytes > this.maxResultBytes && this.results.length > 1) {
+      const oldest = this.results[0];
+      this.dropResult(oldest);
+      oldest.status = 'expired';
+      oldest.error = 'Result was removed to stay within the job result memory limit, queue the render again';
+      console.log(`Job ${oldest.id} result evicted`);
+    }
+  }
+
+  dropResult(job) {
+    const index = this.results.indexOf(job);
+    if (index === -1) {
+      return;
+    }
+    this.results.splice(index, 1);
+    this.resultBytes -= job.result.length;
+    job.result = null;
+  }
+
+  // İş bittiğinde callback URL'ine durum bilgisini POST et
+  async notify(job) {
+    try {
+      // Callback sunucudan çıkar, iç ağa yönlenmesin diye DNS sonucu da kontrol edilir
+      const problem = await urlPolicy.checkResolved(job.callbackUrl);
+      if (problem) {
+        console.error(`Job ${job.id} callback blocked by the URL policy: ${problem}`);
+        return;
+      }
+
+      const response = await fetch(job.callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.describe(job)),
+        redirect: 'error',
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) {
+        console.error(`Job ${job.id} callback returned HTTP ${response.status}`);
+      }
+    } catch (err) {
+      console.error(`Job ${job.id} callback error:`, err.message);
+    }
+  }
+
+  // İstemciye dönülecek iş durumu
+  describe(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      resultUrl: job.status === 'done' ? job.resultUrl : null,
+      size: job.result ? job.result.length : null,
+      render: job.render
+    };
+  }
+}
+
+const jobQueue = new RenderJobQueue(JOB_WORKERS, { maxResultBytes: JOB_RESULTS_MAX_BYTES });
+
+// Şablon ayarları - TEMPLATES_FILE verilirse şablonlar bu JSON dosyasında saklanır, yoksa sadece bellekte tutulur
+const TEMPLATES_FILE = process.env.TEMPLATES_FILE || null;
+const MAX_TEMPLATES = parseInt(process.env.MAX_TEMPLATES) || 1000;
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Template Store Class - İsimli render ayarları, her değişiklikte dosyaya yazılır
+class TemplateStore {
+  constructor({ file, maxTemplates }) {
+    this.file = file;
+    this.maxTemplates = maxTemplates;
+    this.templates = new Map();
+    // Yazmalar sıraya alınır, aynı anda iki yazma dosyayı bozmasın
+    this.writing = Promise.resolve();
+
+    if (file && fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (data.templates || []).forEach(template => this.templates.set(template.id, template));
+    }
+  }
+
+  get size() {
+    return this.templates.size;
+  }
+
+  get(id) {
+    return this.templates.get(id) || null;
+  }
+
+  // Liste - ayarlar olmadan özet alanlar, isme göre sıralı; owner verilirse sadece o anahtarın şablonları
+  list(owner = null) {
+    return Array.from(this.templates.values())
+      .filter(template => owner === null || template.owner === owner)
+      .map(({ id, name, description, createdAt, updatedAt }) => ({ id, name, description, createdAt, updatedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Şablonu ekle ya da değiştir - dosyaya yazılamazsa bellekteki değişiklik geri alınır
+  async save(template) {
+    const previous = this.templates.get(template.id);
+    this.templates.set(template.id, template);
+
+    try {
+      await this.persist();
+    } catch (err) {
+      if (previous) {
+        this.templates.set(template.id, previous);
+      } else {
+        this.templates.delete(template.id);
+      }
+      throw err;
+    }
+    return template;
+  }
+
+  async remove(id) {
+    const previous = this.templates.get(id);
+    if (!previous) {
+      return false;
+    }
+    this.templates.delete(id);
+
+    try {
+      await this.persist();
+    } catch (err) {
+      this.templates.set(id, previous);
+      throw err;
+    }
+    return true;
+  }
+
+  // Dosya önce geçici isimle yazılıp taşınır, yarım kalan yazma eski dosyayı bozmaz; dosya verilmemişse yazılmaz
+  persist() {
+    if (!this.file) {
+      return Promise.resolve();
+    }
+    const data = JSON.stringify({ templates: Array.from(this.templates.values()) }, null, 2);
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(`${this.file}.tmp`, data);
+      await fs.promises.rename(`${this.file}.tmp`, this.file);
+    };
+    this.writing = this.writing.catch(() => {}).then(write);
+    return this.writing;
+  }
+}
+
+const templateStore = new TemplateStore({ file: TEMPLATES_FILE, maxTemplates: MAX_TEMPLATES });
+
+// Şablon gövdesi kontrolü - ayarlar screenshot şemasıyla doğrulanır, merkez istek anında da verilebilir
+function validateTemplate({ id, name, description, options }) {
+  const errors = [];
+
+  if (id !== undefined && (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id))) {
+    errors.push('id may only contain letters, digits, "_" and "-" (max 64)');
+  }
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    errors.push('name is required and must be a string of at most 100 characters');
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    errors.push('description must be a string of at most 500 characters');
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    errors.push('options must be an object with POST /screenshot options');
+    return errors;
+  }
+  Object.keys(options).forEach(key => {
+    if (!Object.hasOwn(SCREENSHOT_SCHEMA, key)) {
+      errors.push(`Unknown template option: ${key}`);
+    }
+  });
+  errors.push(...validateInput(readScreenshotBody(options), { requireCenter: false }));
+
+  return errors;
+}
+
+// Şablon ayarlarının üzerine istek değerlerini yaz - nesneler alan alan birleşir, diziler ve diğer değerler değişir
+function mergeTemplateOptions(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([name, value]) => {
+    const current = merged[name];
+    const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+    merged[name] = isObject(current) && isObject(value) ? { ...current, ...value } : value;
+  });
+  return merged;
+}
+
+// Şablonu isteğin anahtarıyla ara - anahtarlar açıksa her anahtar sadece kendi oluşturduğu şablonları görür
+function findTemplate(req, id) {
+  const template = templateStore.get(id);
+  if (!template || (req.apiKey && template.owner !== req.apiKey.id)) {
+    return null;
+  }
+  return template;
+}
+
+// Şablonun API yanıtı - sahip anahtarın özeti gösterilmez, render adresi eklenir
+function templateResponse(template) {
+  const { owner, ...fields } = template;
+  return { ...fields, screenshotUrl: `/templates/${template.id}/screenshot` };
+}
+
+// OpenLayers dosyaları - /preview-html çıktısının tarayıcıda açılabilmesi için
+app.get('/vendor/ol/:file', (req, res) => {
+  const asset = OL_ASSETS.get(req.params.file);
+  if (!asset) {
+    return res.status(404).json({
+      error: 'Asset not found'
+    });
+  }
+
+  res.set('Content-Type', asset.contentType);
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.send(asset.body);
+});
+
+// Health Check Endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    service: 'Map Screenshot API',
+    version: '1.1.0',
+    openlayers: OL_VERSION,
+    uptime: process.uptime(),
+    cache: renderCache.stats(),
+    tileCache: tileCache.stats(),
+    browserPool: browserPool.stats(),
+    mosaic: mosaicLimiter.stats()
+  });
+});
+
+// Prometheus Metrics Endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', promClient.register.contentType);
+    res.send(await promClient.register.metrics());
+  } catch (err) {
+    console.error('Metrics error:', err);
+    res.status(500).json({
+      error: 'Error collecting metrics',
+      message: err.message
+    });
+  }
+});
+
+// Doğrulanmış seçenekleri anahtar izinleriyle kontrol et, render et ve görüntüyü gönder
+async function sendScreenshot(req, res, endpoint, options) {
+  // API anahtarı izinleri ve kotası
+  const denied = authorizeRender(req, [options]);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  try {
+    console.log(`${endpoint} request: ${describeRequest(options)}`);
+
+    const rendered = await renderWithCache(options);
+    const { buffer } = rendered;
+    recordRender(endpoint, options.format, rendered);
+
+    console.log(`${endpoint} ${rendered.cacheStatus === 'HIT' ? 'served from cache' : 'generated successfully'}: ${buffer.length} bytes`);
+    
+    applyRenderHeaders(res, rendered.render);
+    if (applyCacheHeaders(req, res, rendered)) {
+      return res.status(304).end();
+    }
+    applyOutputHeaders(res, options);
+    res.set('Content-Length', buffer.length.toString());
+    res.send(buffer);
+
+  } catch (err) {
+    console.error(`${endpoint} error:`, err);
+    recordRender(endpoint, options.format, null, err);
+
+    sendRenderError(res, err);
+  }
+}
+
+// GET Screenshot Endpoint - Query parameters ile
+// POST ile aynı şemayı kullanır, nesne ve dizi parametreleri URL-encoded JSON olarak verilir
+app.get('/screenshot', screenshotGuards(), async (req, res) => {
+  const query = readScreenshotQuery(req.query);
+  const options = readScreenshotBody(query.body);
+
+  // Input validation
+  const problem = query.errors.length > 0
+    ? { error: 'Validation failed', details: query.errors }
+    : checkScreenshotOptions(options);
+  if (problem) {
+    return res.status(400).json({
+      ...problem,
+      example: '/screenshot?lat=41.0082&lon=28.9784&zoom=15&width=800&height=600'
+    });
+  }
+
+  await sendScreenshot(req, res, 'GET /screenshot', options);
+});
+
+// Ana Screenshot Endpoint - Rate limiting uygulanmış
+app.post('/screenshot', screenshotGuards(), async (req, res) => {
+  const options = readScreenshotBody(req.body);
+
+  // Input validation
+  const problem = checkScreenshotOptions(options);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+
+  await sendScreenshot(req, res, 'POST /screenshot', options);
+});
+
+// Batch Screenshot Endpoint - Ortak şablon + öğe bazlı değişiklikler, ZIP olarak döner
+app.post('/screenshot/batch', screenshotGuards('batch'), async (req, res) => {
+  const { template = {}, items } = req.body || {};
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return res.status(400).json({
+      error: 'template must be an object with shared screenshot options'
+    });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: 'items must be a non-empty array of per-item overrides'
+    });
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      error: `Maximum ${MAX_BATCH_ITEMS} batch items allowed`
+    });
+  }
+
+  // Öğeleri şablonla birleştir ve tek tek doğrula - geçersiz öğeler manifest'e hata olarak yazılır
+  const manifest = [];
+  const renderItems = [];
+  const usedNames = new Set();
+
+  items.forEach((override, index) => {
+    const entry = { index, name: `item-${index + 1}`, file: null, status: 'pending' };
+    manifest.push(entry);
+
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      Object.assign(entry, { status: 'invalid', error: 'Item must be an object' });
+      return;
+    }
+
+    const { name, ...overrides } = override;
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !/^[A-Za-z0-9_.-]{1,100}$/.test(name)) {
+        Object.assign(entry, { status: 'invalid', error: 'name may only contain letters, digits, "_", "-" and "." (max 100)' });
+        return;
+      }
+      entry.name = name;
+    }
+    if (usedNames.has(entry.name)) {
+      Object.assign(entry, { status: 'invalid', error: `Duplicate item name: ${entry.name}` });
+      return;
+    }
+    usedNames.add(entry.name);
+
+    const options = readScreenshotBody({ ...template, ...overrides });
+    const problem = checkScreenshotOptions(options);
+    if (problem) {
+      Object.assign(entry, { status: 'invalid', error: problem.error, details: problem.details });
+      return;
+    }
+    // Mozaik kendi içinde birden çok sayfa kullanır, batch worker'ları tek sayfayla çalışır
+    if (options.mosaic) {
+      Object.assign(entry, { status: 'invalid', error: 'mosaic is not supported in batch items, use POST /screenshot or POST /jobs' });
+      return;
+    }
+
+    renderItems.push({ entry, options });
+  });
+
+  console.log(`Batch request: ${items.length} items, ${renderItems.length} valid`);
+  if (renderItems.length < items.length) {
+    metrics.validationFailures.inc({ endpoint: 'POST /screenshot/batch' }, items.length - renderItems.length);
+  }
+
+  // Kotadan sadece geçerli öğeler düşülür
+  const denied = authorizeRender(req, renderItems.map(item => item.options));
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('error', err => {
+    console.error('Batch archive error:', err);
+    res.destroy(err);
+  });
+
+  // İstemci bağlantıyı kapatırsa kalan öğeler render edilmez
+  let cancelled = false;
+  res.on('close', () => {
+    cancelled = true;
+  });
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', 'attachment; filename="screenshots.zip"');
+  archive.pipe(res);
+
+  await renderBatch(renderItems, ({ entry, options }, result, err) => {
+    recordRender('POST /screenshot/batch', options.format, result, err);
+    if (err) {
+      Object.assign(entry, { status: 'error', error: err.message, render: err.render });
+      return;
+    }
+    Object.assign(entry, { status: 'ok', file: `${entry.name}.${fileExtensionFor(options)}`, bytes: result.buffer.length, render: result.render });
+    archive.append(result.buffer, { name: entry.file });
+  }, () => cancelled);
+
+  const succeeded = manifest.filter(entry => entry.status === 'ok').length;
+  console.log(`Batch finished: ${succeeded}/${items.length} succeeded`);
+
+  archive.append(JSON.stringify({
+    total: items.length,
+    succeeded,
+    failed: items.length - succeeded,
+    items: manifest
+  }, null, 2), { name: 'manifest.json' });
+  archive.finalize();
+});
+
+// Çok Sayfalı Baskı Endpoint - Her öğe ortak kağıt düzeninde ayrı bir PDF sayfası olur
+app.post('/screenshot/print', screenshotGuards('pdf'), async (req, res) => {
+  const { template = {}, items, print = {} } = req.body || {};
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return res.status(400).json({
+      error: 'template must be an object with shared screenshot options'
+    });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: 'items must be a non-empty array of per-page overrides'
+    });
+  }
+  if (items.length > MAX_PRINT_PAGES) {
+    return res.status(400).json({
+      error: `Maximum ${MAX_PRINT_PAGES} print pages allowed`
+    });
+  }
+
+  const printErrors = validatePrint(print || {});
+  if (printErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: printErrors
+    });
+  }
+
+  // Tüm sayfalar aynı kağıt düzeninde PNG olarak render edilir, PDF en sonda birleştirilir
+  const renderItems = [];
+  const invalidPages = [];
+  items.forEach((override, index) => {
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      invalidPages.push({ page: index + 1, error: 'Item must be an object' });
+      return;
+    }
+
+    const options = readScreenshotBody({ ...template, ...override, format: 'png', print });
+    const problem = checkScreenshotOptions(options);
+    if (problem) {
+      invalidPages.push({ page: index + 1, error: problem.error, details: problem.details });
+      return;
+    }
+
+    renderItems.push({ index, options });
+  });
+
+  if (invalidPages.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      pages: invalidPages
+    });
+  }
+
+  // API anahtarı izinleri ve kotası - her sayfa bir render sayılır
+  const denied = authorizeRender(req, renderItems.map(item => item.options));
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  // İstemci bağlantıyı kapatırsa kalan sayfalar render edilmez
+  let cancelled = false;
+  res.on('close', () => {
+    cancelled = true;
+  });
+
+  try {
+    console.log(`Print request: ${items.length} pages, ${print.paperSize || 'A4'} ${print.orientation || 'portrait'}`);
+
+    const images = [];
+    const failedPages = [];
+    await renderBatch(renderItems, ({ index, options }, result, err) => {
+      recordRender('POST /screenshot/print', options.format, result, err);
+      if (err) {
+        failedPages.push({ page: index + 1, error: err.message, render: err.render });
+        return;
+      }
+      images[index] = result.buffer;
+    }, () => cancelled);
+
+    if (cancelled) {
+      return;
+    }
+    if (failedPages.length > 0) {
+      return res.status(502).json({
+        error: 'Error generating print pages',
+        pages: failedPages.sort((a, b) => a.page - b.page)
+      });
+    }
+
+    const pdf = await composePrintPdf(images, resolvePrintLayout(print));
+    console.log(`Print generated successfully: ${items.length} pages, ${pdf.length} bytes`);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'attachment; filename="maps.pdf"');
+    res.set('Content-Length', pdf.length.toString());
+    res.send(pdf);
+
+  } catch (err) {
+    console.error('Print Error:', err);
+
+    sendRenderError(res, err);
+  }
+});
+
+// Animasyon Endpoint - POST /screenshot gövdesi + animation ayarları, kareler aynı sayfada çizilir
+app.post('/screenshot/animation', screenshotGuards('animation'), async (req, res) => {
+  const { animation, ...body } = req.body || {};
+  const options = { ...readScreenshotBody(body), animation };
+
+  // Input validation - harita ayarları ve animasyon ayarları birlikte raporlanır
+  const validationErrors = [...validateInput(options), ...validateAnimation(animation, options)];
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+
+  // API anahtarı izinleri ve kotası - her kare bir render sayılır
+  const frameCount = expandAnimationFrames(animation, options).length;
+  const denied = authorizeRender(req, Array(frameCount).fill(options));
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  const outputFormat = animation.format || 'gif';
+  try {
+    console.log(`Animation request: ${frameCount} frames as ${outputFormat}, ${describeRequest(options)}`);
+
+    const { buffer, render } = await renderAnimation(options);
+    recordRender('POST /screenshot/animation', outputFormat, { render });
+
+    console.log(`Animation generated successfully: ${frameCount} frames, ${buffer.length} bytes`);
+
+    applyRenderHeaders(res, render);
+    res.set('Content-Type', ANIMATION_CONTENT_TYPES[outputFormat]);
+    if (outputFormat === 'zip') {
+      res.set('Content-Disposition', 'attachment; filename="frames.zip"');
+    }
+    res.set('Content-Length', buffer.length.toString());
+    res.send(buffer);
+
+  } catch (err) {
+    console.error('Animation Error:', err);
+    recordRender('POST /screenshot/animation', outputFormat, null, err);
+
+    sendRenderError(res, err);
+  }
+});
+
+// Şablon Listesi Endpoint
+app.get('/templates', requireApiKey(), (req, res) => {
+  const templates = templateStore.list(req.apiKey ? req.apiKey.id : null);
+  res.json({
+    total: templates.length,
+    templates
+  });
+});
+
+// Şablon Oluşturma Endpoint - id verilmezse üretilir
+app.post('/templates', requireApiKey('templates'), async (req, res) => {
+  const { id, name, description = null, options } = req.body || {};
+
+  const validationErrors = validateTemplate({ id, name, description, options });
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  if (id !== undefined && templateStore.get(id)) {
+    return res.status(409).json({
+      error: findTemplate(req, id)
+        ? `Template ${id} already exists, use PUT /templates/${id} to change it`
+        : `Template id ${id} is already taken`
+    });
+  }
+  if (templateStore.size >= templateStore.maxTemplates) {
+    return res.status(400).json({
+      error: `Maximum ${templateStore.maxTemplates} templates allowed`
+    });
+  }
+
+  const now = new Date().toISOString();
+  try {
+    const template = await templateStore.save({
+      id: id || crypto.randomBytes(6).toString('base64url'),
+      name,
+      description,
+      options,
+      owner: req.apiKey ? req.apiKey.id : null,
+      createdAt: now,
+      updatedAt: now
+    });
+    console.log(`Template created: ${template.id} (${template.name})`);
+    res.status(201).json(templateResponse(template));
+
+  } catch (err) {
+    console.error('Template save error:', err);
+    res.status(500).json({
+      error: 'Error saving template',
+      message: err.message
+    });
+  }
+});
+
+// Şablon Detayı Endpoint
+app.get('/templates/:id', requireApiKey(), (req, res) => {
+  const template = findTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({
+      error: 'Template not found'
+    });
+  }
+
+  res.json(templateResponse(template));
+});
+
+// Şablon Güncelleme Endpoint - name, description ve options birlikte değişir
+app.put('/templates/:id', requireApiKey('templates'), async (req, res) => {
+  const existing = findTemplate(req, req.params.id);
+  if (!existing) {
+    return res.status(404).json({
+      error: 'Template not found'
+    });
+  }
+
+  const { id, name, description = null, options } = req.body || {};
+  if (id !== undefined && id !== existing.id) {
+    return res.status(400).json({
+      error: 'Template id cannot be changed'
+    });
+  }
+  const validationErrors = validateTemplate({ name, description, options });
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+
+  try {
+    const template = await templateStore.save({
+      ...existing,
+      name,
+      description,
+      options,
+      updatedAt: new Date().toISOString()
+    });
+    console.log(`Template updated: ${template.id} (${template.name})`);
+    res.json(templateResponse(template));
+
+  } catch (err) {
+    console.error('Template save error:', err);
+    res.status(500).json({
+      error: 'Error saving template',
+      message: err.message
+    });
+  }
+});
+
+// Şablon Silme Endpoint
+app.delete('/templates/:id', requireApiKey('templates'), async (req, res) => {
+  if (!findTemplate(req, req.params.id)) {
+    return res.status(404).json({
+      error: 'Template not found'
+    });
+  }
+
+  try {
+    await templateStore.remove(req.params.id);
+    console.log(`Template deleted: ${req.params.id}`);
+    res.status(204).end();
+
+  } catch (err) {
+    console.error('Template delete error:', err);
+    res.status(500).json({
+      error: 'Error deleting template',
+      message: err.message
+    });
+  }
+});
+
+// Şablondan Screenshot Endpoint - query değerleri şablonun üzerine yazılır (lat, lon, zoom, pin.text gibi)
+app.get('/templates/:id/screenshot', screenshotGuards('templates'), async (req, res) => {
+  const template = findTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({
+      error: 'Template not found'
+    });
+  }
+
+  const query = readScreenshotQuery(req.query);
+  const options = readScreenshotBody(mergeTemplateOptions(template.options, query.body));
+
+  // Input validation - şablon ile query birlikte doğrulanır
+  const problem = query.errors.length > 0
+    ? { error: 'Validation failed', details: query.errors }
+    : checkScreenshotOptions(options);
+  if (problem) {
+    return res.status(400).json({
+      ...problem,
+      example: `/templates/${template.id}/screenshot?lat=41.0082&lon=28.9784&zoom=15&pin.text=Merkez`
+    });
+  }
+
+  await sendScreenshot(req, res, 'GET /templates/:id/screenshot', options);
+});
+
+// Asenkron Render Endpoint - İş ID'si hemen döner, render arka planda yapılır
+app.post('/jobs', screenshotGuards('jobs'), (req, res) => {
+  const options = readScreenshotBody(req.body);
+  const { callbackUrl = null } = req.body || {};
+
+  // Input validation
+  const problem = checkScreenshotOptions(options);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+
+  // Callback URL kontrolü
+  if (callbackUrl !== null) {
+    let parsed = null;
+    try {
+      parsed = new URL(callbackUrl);
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return res.status(400).json({
+        error: 'callbackUrl must be an http(s) URL'
+      });
+    }
+    const callbackProblem = urlPolicy.check(callbackUrl);
+    if (callbackProblem) {
+      return res.status(400).json({
+        error: `callbackUrl is not allowed by the URL policy: ${callbackProblem}`
+      });
+    }
+  }
+
+  if (jobQueue.pending >= JOB_QUEUE_LIMIT) {
+    return res.status(503).json({
+      error: 'Render queue is full, please try again later.'
+    });
+  }
+
+  // API anahtarı izinleri ve kotası
+  const denied = authorizeRender(req, [options]);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  const job = jobQueue.add(options, {
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+    callbackUrl,
+    owner: req.apiKey ? req.apiKey.id : null
+  });
+
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    statusUrl: `${req.protocol}://${req.get('host')}/jobs/${job.id}`,
+    resultUrl: job.resultUrl
+  });
+});
+
+// İş durumu
+app.get('/jobs/:id', requireApiKey('jobs'), (req, res) => {
+  const job = jobQueue.get(req.params.id, req.apiKey ? req.apiKey.id : null);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  res.json(jobQueue.describe(job));
+});
+
+// İş sonucu - sadece bitmiş işler için görüntü döner
+app.get('/jobs/:id/result', requireApiKey('jobs'), (req, res) => {
+  const job = jobQueue.get(req.params.id, req.apiKey ? req.apiKey.id : null);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status === 'expired') {
+    return res.status(410).json({
+      error: 'Job result expired',
+      message: job.error
+    });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({
+      error: job.status === 'failed' ? 'Job failed' : 'Job is not finished yet',
+      status: job.status,
+      message: job.error
+    });
+  }
+
+  applyRenderHeaders(res, job.render);
+  applyOutputHeaders(res, job);
+  res.set('Content-Length', job.result.length.toString());
+  res.send(job.result);
+});
+
+// API anahtarının kendi kullanım bilgisi
+app.get('/usage', requireApiKey(), (req, res) => {
+  if (!apiKeys.enabled) {
+    return res.status(404).json({
+      error: 'API keys are not configured, set API_KEYS_FILE or API_KEYS to enable them'
+    });
+  }
+
+  res.json(apiKeys.describe(req.apiKey));
+});
+
+// Admin: Tüm API anahtarlarının kullanım bilgisi
+app.get('/admin/usage', requireAdmin, (req, res) => {
+  res.json({
+    enabled: apiKeys.enabled,
+    keys: apiKeys.stats()
+  });
+});
+
+// Admin: Render cache'i temizle
+app.delete('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    const removed = await renderCache.purge();
+    console.log(`Render cache purged: ${removed} entries`);
+    res.json({
+      purged: removed,
+      cache: renderCache.stats()
+    });
+  } catch (err) {
+    console.error('Cache purge error:', err);
+    res.status(500).json({
+      error: 'Error purging cache',
+      message: err.message
+    });
+  }
+});
+
+// Debug: HTML preview endpoint
+app.post('/preview-html', (req, res) => {
+  const options = readScreenshotBody(req.body);
+
+  // Render ile aynı doğrulama
+  const problem = checkScreenshotOptions(options);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+  
+  const html = generateHtml({ ...options, pixelRatio: options.scale });
+  res.set('Content-Type', 'text/html');
+  res.send(html);
+});
+
+// Şema alanı nesne ya da dizi alabiliyor mu - GET'te bunlar URL-encoded JSON olarak verilir
+function isStructuredField(rule) {
+  return rule.type.split('|').some(type => type === 'object' || type === 'array');
+}
+
+// Şema alanının /api-info açıklaması
+function describeSchemaField(rule, { query = false } = {}) {
+  const type = rule.type.replace(/\|/g, ' or ') + (query && isStructuredField(rule) ? ', URL-encoded JSON' : '');
+  const presence = rule.center ? 'required unless bbox, fitPins or fitGeojson is given' : 'optional';
+  const details = [rule.description];
+  if (rule.minimum !== undefined) {
+    details.push(`between ${rule.minimum} and ${rule.maximum}${rule.unit ? ` ${rule.unit}` : ''}`);
+  }
+  if (rule.enum) {
+    details.push(`one of: ${rule.enum.join(', ')}`);
+  }
+  const defaultValue = rule.default !== undefined ? rule.default : rule.schema && rule.schema.default;
+  if (defaultValue !== undefined) {
+    details.push(`default: ${defaultValue}`);
+  }
+  return `${type} (${presence}) - ${details.join('; ')}`;
+}
+
+// /api-info parametre listesi - şemadan üretilir
+function describeScreenshotParameters(options) {
+  return Object.fromEntries(Object.entries(SCREENSHOT_SCHEMA).map(([name, rule]) => [name, describeSchemaField(rule, options)]));
+}
+
+// Şema alanının OpenAPI karşılığı
+function openApiSchemaFor(rule) {
+  const schema = rule.schema ? { ...rule.schema } : { type: rule.type };
+  ['minimum', 'maximum', 'enum', 'default'].forEach(key => {
+    if (rule[key] !== undefined) {
+      schema[key] = rule[key];
+    }
+  });
+  schema.description = rule.center
+    ? `${rule.description}; required unless bbox, fitPins or fitGeojson is given`
+    : rule.description;
+  return schema;
+}
+
+// OpenAPI 3 dokümanı - istek gövdesi ve GET parametreleri SCREENSHOT_SCHEMA'dan üretilir
+function buildOpenApiDocument() {
+  const properties = Object.fromEntries(Object.entries(SCREENSHOT_SCHEMA).map(([name, rule]) => [name, openApiSchemaFor(rule)]));
+  const queryParameters = Object.entries(SCREENSHOT_SCHEMA).map(([name, rule]) => {
+    const { description, ...schema } = properties[name];
+    if (isStructuredField(rule)) {
+      return { name, in: 'query', description, content: { 'application/json': { schema } } };
+    }
+    return { name, in: 'query', description, schema };
+  });
+
+  const binary = { schema: { type: 'string', format: 'binary' } };
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+  const renderResponses = {
+    200: {
+      description: 'Rendered map; a ZIP when worldFile is true',
+      headers: {
+        ETag: { schema: { type: 'string' } },
+        'X-Cache-Status': { schema: { type: 'string', enum: ['HIT', 'MISS', 'BYPASS'] } }
+      },
+      content: Object.fromEntries(SUPPORTED_FORMATS.map(format => contentTypeFor({ format }))
+        .concat('application/zip')
+        .map(type => [type, binary]))
+    },
+    304: { description: 'Not modified, the If-None-Match ETag still matches' },
+    400: errorResponse('Validation failed'),
+    401: errorResponse('Missing or unknown API key'),
+    403: errorResponse('Feature not allowed for the API key, or a URL blocked by the URL policy'),
+    429: errorResponse('Rate limit or daily quota exceeded'),
+    502: errorResponse('Tile errors with waitStrategy strict'),
+    503: errorResponse('Browser pool is full, retry after the Retry-After header'),
+    504: errorResponse('Render timed out with waitStrategy strict')
+  };
+  const apiKeySecurity = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+  const adminSecurity = [{ AdminToken: [] }];
+  const templateBody = (maxItems, extra = {}) => ({
+    required: true,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['items'],
+          properties: {
+            template: { $ref: '#/components/schemas/ScreenshotRequest' },
+            items: { type: 'array', maxItems, items: { $ref: '#/components/schemas/ScreenshotRequest' } },
+            ...extra
+          }
+        }
+      }
+    }
+  });
+  const jsonResponse = description => ({ description, content: { 'application/json': { schema: { type: 'object' } } } });
+  const templateIdParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: TEMPLATE_ID_PATTERN.source } };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Map Screenshot API',
+      version: '1.1.0',
+      description: 'Renders OpenLayers maps with base maps, WMS/WMTS/XYZ/MVT overlays, pins and GeoJSON to images, PDFs and GeoTIFFs'
+    },
+    paths: {
+      '/screenshot': {
+        get: {
+          summary: 'Render a map from query parameters; object and array parameters are URL-encoded JSON',
+          parameters: queryParameters,
+          security: apiKeySecurity,
+          responses: renderResponses
+        },
+        post: {
+          summary: 'Render a map from a JSON body',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ScreenshotRequest' } } }
+          },
+          security: apiKeySecurity,
+          responses: renderResponses
+        }
+      },
+      '/screenshot/batch': {
+        post: {
+          summary: 'Render many maps from a shared template into a ZIP with a manifest.json',
+          requestBody: templateBody(MAX_BATCH_ITEMS),
+          security: apiKeySecurity,
+          responses: { 200: { description: 'ZIP archive', content: { 'application/zip': binary } }, 400: errorResponse('Validation failed') }
+        }
+      },
+      '/screenshot/print': {
+        post: {
+          summary: 'Render a multi-page PDF, one page per item',
+          requestBody: templateBody(MAX_PRINT_PAGES, { print: properties.print }),
+          security: apiKeySecurity,
+          responses: { 200: { description: 'PDF document', content: { 'application/pdf': binary } }, 400: errorResponse('Validation failed') }
+        }
+      },
+      '/screenshot/animation': {
+        post: {
+          summary: 'Render an animated GIF, animated WebP or frame ZIP over WMS TIME values or view states',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/ScreenshotRequest' },
+                    {
+                      type: 'object',
+                      required: ['animation'],
+                      properties: {
+                        animation: {
+                          type: 'object',
+                          description: 'Exactly one of times, timeRange or frames; TIME is applied to every WMS layer',
+                          properties: {
+                            times: { type: 'array', items: { type: 'string' }, maxItems: MAX_ANIMATION_FRAMES },
+                            timeRange: {
+                              type: 'object',
+                              required: ['start', 'end', 'step'],
+                              properties: {
+                                start: { type: 'string', format: 'date-time' },
+                                end: { type: 'string', format: 'date-time' },
+                                step: { type: 'string', example: 'PT1H' }
+                              }
+                            },
+                            frames: {
+                              type: 'array',
+                              maxItems: MAX_ANIMATION_FRAMES,
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  time: { type: 'string' },
+                                  lat: properties.lat,
+                                  lon: properties.lon,
+                                  zoom: properties.zoom,
+                                  bearing: properties.bearing,
+                                  delay: { type: 'number', minimum: 20, maximum: 10000 }
+                                }
+                              }
+                            },
+                            delay: { type: 'number', minimum: 20, maximum: 10000, default: DEFAULT_FRAME_DELAY_MS },
+                            loop: { type: 'boolean', default: true },
+                            format: { type: 'string', enum: ANIMATION_FORMATS, default: 'gif' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          security: apiKeySecurity,
+          responses: {
+            200: {
+              description: 'Animation or frame ZIP',
+              content: Object.fromEntries(Object.values(ANIMATION_CONTENT_TYPES).map(type => [type, binary]))
+            },
+            400: errorResponse('Validation failed'),
+            502: renderResponses[502],
+            503: renderResponses[503],
+            504: renderResponses[504]
+          }
+        }
+      },
+      '/jobs': {
+        post: {
+          summary: 'Queue an asynchronous render',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/ScreenshotRequest' },
+                    { type: 'object', properties: { callbackUrl: { type: 'string', description: 'Receives a JSON POST with the job status when it finishes' } } }
+                  ]
+                }
+              }
+            }
+          },
+          security: apiKeySecurity,
+          responses: { 202: jsonResponse('Job accepted'), 400: errorResponse('Validation failed') }
+        }
+      },
+      '/jobs/{id}': {
+        get: {
+          summary: 'Job status',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          security: apiKeySecurity,
+          responses: { 200: jsonResponse('Job status: queued, rendering, done, failed or expired'), 404: errorResponse('Job not found') }
+        }
+      },
+      '/jobs/{id}/result': {
+        get: {
+          summary: 'Result of a finished job',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          security: apiKeySecurity,
+          responses: { 200: renderResponses[200], 404: errorResponse('Job not found'), 409: errorResponse('Job has not finished'), 410: errorResponse('Result removed by the job result memory limit') }
+        }
+      },
+      '/templates': {
+        get: {
+          summary: 'List saved map templates',
+          security: apiKeySecurity,
+          responses: { 200: jsonResponse('Template summaries') }
+        },
+        post: {
+          summary: 'Save a named render body as a template',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/TemplateRequest' } } } },
+          security: apiKeySecurity,
+          responses: {
+            201: { description: 'Saved template', content: { 'application/json': { schema: { $ref: '#/components/schemas/Template' } } } },
+            400: errorResponse('Validation failed or template limit reached'),
+            409: errorResponse('Template id already exists')
+          }
+        }
+      },
+      '/templates/{id}': {
+        parameters: [templateIdParameter],
+        get: {
+          summary: 'A saved template',
+          security: apiKeySecurity,
+          responses: {
+            200: { description: 'Template', content: { 'application/json': { schema: { $ref: '#/components/schemas/Template' } } } },
+            404: errorResponse('Template not found')
+          }
+        },
+        put: {
+          summary: 'Replace the name, description and options of a template',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/TemplateRequest' } } } },
+          security: apiKeySecurity,
+          responses: {
+            200: { description: 'Updated template', content: { 'application/json': { schema: { $ref: '#/components/schemas/Template' } } } },
+            400: errorResponse('Validation failed'),
+            404: errorResponse('Template not found')
+          }
+        },
+        delete: {
+          summary: 'Delete a template',
+          security: apiKeySecurity,
+          responses: { 204: { description: 'Deleted' }, 404: errorResponse('Template not found') }
+        }
+      },
+      '/templates/{id}/screenshot': {
+        get: {
+          summary: 'Render a saved template; query parameters override its options, object fields also as dotted keys such as pin.text',
+          parameters: [templateIdParameter, ...queryParameters.map(({ required, ...parameter }) => parameter)],
+          security: apiKeySecurity,
+          responses: { ...renderResponses, 404: errorResponse('Template not found') }
+        }
+      },
+      '/preview-html': {
+        post: {
+          summary: 'Debug: the HTML page a render would load',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ScreenshotRequest' } } }
+          },
+          responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }, 400: errorResponse('Validation failed') }
+        }
+      },
+      '/usage': {
+        get: { summary: 'Usage and remaining quota of the calling API key', security: apiKeySecurity, responses: { 200: jsonResponse('Usage counters') } }
+      },
+      '/admin/usage': {
+        get: { summary: 'Usage counters of all API keys', security: adminSecurity, responses: { 200: jsonResponse('Usage counters') } }
+      },
+      '/admin/cache': {
+        delete: { summary: 'Purge the render cache', security: adminSecurity, responses: { 200: jsonResponse('Purge result') } }
+      },
+      '/health': {
+        get: { summary: 'Health check with cache and browser pool statistics', responses: { 200: jsonResponse('Service status') } }
+      },
+      '/metrics': {
+        get: { summary: 'Prometheus metrics', responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } } }
+      },
+      '/api-info': {
+        get: { summary: 'API usage information', responses: { 200: jsonResponse('Endpoints, parameters, limits and examples') } }
+      },
+      '/openapi.json': {
+        get: { summary: 'This OpenAPI document', responses: { 200: jsonResponse('OpenAPI 3 document') } }
+      }
+    },
+    components: {
+      schemas: {
+        ScreenshotRequest: { type: 'object', properties },
+        TemplateRequest: {
+          type: 'object',
+          required: ['name', 'options'],
+          properties: {
+            id: { type: 'string', pattern: TEMPLATE_ID_PATTERN.source, description: 'Generated when omitted; POST only' },
+            name: { type: 'string', maxLength: 100 },
+            description: { type: 'string', maxLength: 500 },
+            options: { $ref: '#/components/schemas/ScreenshotRequest' }
+          }
+        },
+        Template: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            options: { $ref: '#/components/schemas/ScreenshotRequest' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            screenshotUrl: { type: 'string' }
+          }
+        },
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            message: { type: 'string' },
+            details: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+        AdminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+      }
+    }
+  };
+}
+
+// OpenAPI Endpoint
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// API Usage Info Endpoint
+app.get('/api-info', (req, res) => {
+  res.json({
+    service: 'Map Screenshot API',
+    version: '1.1.0',
+        endpoints: {
+      'GET /screenshot': {
+        description: 'Generate map screenshot with URL parameters; takes every POST /screenshot option, objects and arrays as URL-encoded JSON',
+        parameters: describeScreenshotParameters({ query: true }),
+        example: '/screenshot?lat=41.0082&lon=28.9784&zoom=15&width=800&height=600&format=png&pins=%5B%7B%22lat%22%3A41.0082%2C%22lon%22%3A28.9784%7D%5D',
+        caching: 'Responses carry ETag and X-Cache-Status (HIT, MISS, BYPASS); send If-None-Match to get 304 Not Modified',
+        fieldParameters: 'Single fields of object parameters can be given as dotted keys such as pin.text=Site or print.dpi=200',
+        renderHeaders: 'X-Render-Tiles-Total, X-Render-Tiles-Loaded, X-Render-Tiles-Failed, X-Render-Timed-Out, X-Render-Duration-Ms'
+      },
+      'POST /screenshot': {
+        description: 'Generate map screenshot with JSON body',
+        parameters: describeScreenshotParameters()
+      },
+      'POST /screenshot/batch': {
+        description: 'Render many screenshots from a shared template and return a ZIP archive with a manifest.json of per-item results',
+        parameters: {
+          template: 'object (optional) - Shared POST /screenshot options',
+          items: 'array (required) - Per-item overrides merged over the template, max 500; optional name sets the file name'
+        }
+      },
+      'POST /screenshot/print': {
+        description: 'Render a multi-page PDF, one page per item, all on the same paper layout',
+        parameters: {
+          template: 'object (optional) - Shared POST /screenshot options',
+          items: 'array (required) - Per-page overrides merged over the template, max 20',
+          print: 'object (optional) - Paper layout shared by all pages, same fields as POST /screenshot print'
+        }
+      },
+      'POST /screenshot/animation': {
+        description: 'Render an animation over WMS TIME values or view states on a single page and return an animated GIF, animated WebP or a frame ZIP with a manifest.json; takes the POST /screenshot options plus animation',
+        parameters: {
+          animation: `object (required) - { times, timeRange, frames, delay, loop, format }; exactly one of times (array of TIME strings), timeRange ({ start, end, step } with an ISO 8601 step such as PT1H) or frames (array of { time, lat, lon, zoom, bearing, delay }); TIME is applied to every WMS layer; ${MAX_ANIMATION_FRAMES} frames and ${MAX_ANIMATION_PIXELS} pixels in total at most`,
+          'animation.delay': 'number (optional) - Frame delay in ms between 20 and 10000, default: 500',
+          'animation.loop': 'boolean (optional) - Repeat forever, default: true',
+          'animation.format': `string (optional) - ${ANIMATION_FORMATS.join(', ')}, default: gif; the format option must be one of ${ANIMATION_FRAME_FORMATS.join(', ')} and sets the zip frame format`,
+          decorations: 'object (optional) - As in POST /screenshot; timestamp shows the TIME value of each frame'
+        },
+        waiting: 'timeout and waitStrategy apply to every frame'
+      },
+      'GET /templates': {
+        description: 'List the saved map templates of the calling API key'
+      },
+      'POST /templates': {
+        description: `Save a named POST /screenshot body as a template, max ${templateStore.maxTemplates}; lat/lon/zoom may be left for the template screenshot query; with API keys a template belongs to the key that created it and other keys get 404; ${TEMPLATES_FILE ? 'templates are saved in TEMPLATES_FILE' : 'TEMPLATES_FILE is not set, templates are kept in memory and lost on restart'}`,
         parameters: {
-          lat: 'number (required) - Latitude between -90 and 90',
-          lon: 'number (required) - Longitude between -180 and 180', 
-          zoom: 'number (required) - Zoom level between 1 and 20',
-          width: 'number (optional) - Image width between 100 and 2000, default: 640',
-          height: 'number (optional) - Image height between 100 and 2000, default: 480',
-          format: 'string (optional) - Image format: jpeg, png, webp, default: jpeg',
-          quality: 'number (optional) - JPEG quality between 1 and 100, default: 70',
-          wms: 'array (optional) - WMS layers to overlay, max 5 layers',
-          pin: 'object (optional) - Pin marker with customizable shape, size, color and text'
+          id: 'string (optional) - Letters, digits, _ and -, max 64 characters; generated when omitted',
+          name: 'string (required) - Template name, max 100 characters',
+          description: 'string (optional) - Free text, max 500 characters',
+          options: 'object (required) - POST /screenshot options'
         }
       },
+      'GET /templates/:id': {
+        description: 'A saved template'
+      },
+      'PUT /templates/:id': {
+        description: 'Replace the name, description and options of a template'
+      },
+      'DELETE /templates/:id': {
+        description: 'Delete a template'
+      },
+      'GET /templates/:id/screenshot': {
+        description: 'Render a saved template, needs the templates feature; query parameters are GET /screenshot parameters merged over the template options, object fields one by one (pin.text=Site keeps the rest of the template pin)',
+        example: '/templates/flood-zones/screenshot?lat=41.0082&lon=28.9784&zoom=14&pin.text=Site'
+      },
+      'POST /jobs': {
+        description: `Queue an asynchronous render; takes the same body as POST /screenshot and returns a job ID; results are kept for ${JOB_TTL_MS / 60000} minutes within ${JOB_RESULTS_MAX_BYTES / 1024 / 1024} MB, oldest results expire first`,
+        parameters: {
+          callbackUrl: 'string (optional) - http(s) URL that receives a JSON POST with the job status when it finishes'
+        }
+      },
+      'GET /jobs/:id': {
+        description: 'Job status: queued, rendering, done, failed or expired; with API keys only the key that queued the job sees it'
+      },
+      'GET /jobs/:id/result': {
+        description: 'Rendered image or PDF of a finished job'
+      },
       'GET /health': {
-        description: 'Health check endpoint'
+        description: 'Health check endpoint with render cache, tile cache and browser pool statistics'
+      },
+      'GET /metrics': {
+        description: 'Prometheus metrics: renders and render latency by endpoint and format, validation failures, rate-limit rejections, page tile loads and errors, wait timeouts and browser pool sizes'
+      },
+      'GET /usage': {
+        description: 'Usage counters, limits and remaining daily quota of the calling API key'
+      },
+      'GET /admin/usage': {
+        description: 'Usage counters of all API keys; requires the X-Admin-Token header'
+      },
+      'DELETE /admin/cache': {
+        description: 'Purge the render cache (memory and disk); requires the X-Admin-Token header'
       },
       'GET /api-info': {
         description: 'API usage information'
       },
+      'GET /openapi.json': {
+        description: 'OpenAPI 3 document of all endpoints; request parameters are generated from the same schema that validates them'
+      },
       'POST /preview-html': {
         description: 'Debug endpoint to preview generated HTML'
+      },
+      'GET /vendor/ol/:file': {
+        description: 'Self-hosted OpenLayers assets (ol.js, ol.css, proj4.js) used by the preview HTML'
       }
     },
          rateLimits: {
-       screenshot: '10 requests per 15 minutes per IP'
+       screenshot: `${SCREENSHOT_RATE_LIMIT} requests per ${SCREENSHOT_RATE_WINDOW_MINUTES === 1 ? 'minute' : `${SCREENSHOT_RATE_WINDOW_MINUTES} minutes`} per IP`,
+       apiKey: 'Requests with an API key are limited per key (rateLimit per minute and dailyQuota renders per UTC day) instead of per IP'
+     },
+     concurrency: {
+       description: 'Renders share a bounded browser pool; each render gets its own browser context and waits in a queue when the pool is full',
+       browsers: BROWSER_POOL_SIZE,
+       pagesPerBrowser: BROWSER_MAX_PAGES,
+       recycleAfterRenders: BROWSER_RECYCLE_AFTER,
+       queue: `${BROWSER_QUEUE_LIMIT} waiting renders, ${BROWSER_QUEUE_TIMEOUT_MS / 1000}s timeout; beyond that 503 with Retry-After`,
+       mosaic: `${MOSAIC_CONCURRENCY} mosaic render(s) at a time within ${MOSAIC_MEMORY_BYTES / 1024 / 1024} MB, ${MOSAIC_QUEUE_LIMIT} waiting; beyond that 503 with Retry-After`
+     },
+     urlPolicy: {
+       description: 'Basemap, WMS, overlay and callback URLs must pass the URL policy; validation rejects them with 400 and requests the page makes at render time (after DNS resolution and redirects) fail the render with 403',
+       allowedSchemes: URL_ALLOWED_SCHEMES,
+       allowedHosts: URL_ALLOWED_HOSTS.length > 0 ? 'restricted by URL_ALLOWED_HOSTS' : 'any public host',
+       blockPrivateRanges: URL_BLOCK_PRIVATE
+     },
+     authentication: {
+       description: 'Enabled when API_KEYS_FILE or API_KEYS holds a key list; render routes then need a key',
+       header: 'X-API-Key',
+       query: 'api_key',
+       keyConfig: `[{ key, name, rateLimit, dailyQuota, features: [${API_KEY_FEATURES.join(', ')}], wmsHosts: [host or *.domain] }]`
      },
      examples: {
        getRequest: '/screenshot?lat=41.0082&lon=28.9784&zoom=15',
        getRequestCustom: '/screenshot?lat=41.0082&lon=28.9784&zoom=15&width=1200&height=800&format=png&quality=90',
+       getRequestWithWms: '/screenshot?bbox=28.95,40.99,29.02,41.03&format=png&wms=' +
+         encodeURIComponent(JSON.stringify([{ url: 'https://your-geoserver.com/wms', layers: 'your:layer_name', opacity: 0.7 }])),
        postBasic: {
          lat: 41.0082,
          lon: 28.9784,
@@ -474,6 +5629,176 @@ app.get('/api-info', (req, res) => {
            }
          ]
        },
+       postWithFilteredWms: {
+         lat: 41.0082,
+         lon: 28.9784,
+         zoom: 12,
+         wms: [
+           {
+             url: 'https://your-geoserver.com/wms',
+             layers: 'your:flood_zones',
+             styles: 'flood_risk',
+             version: '1.3.0',
+             cql_filter: "risk_level = 'HIGH'",
+             time: '2025-06-01T00:00:00Z',
+             params: { BUFFER: 8 },
+             tiled: false,
+             headers: { Authorization: 'Bearer your-token' }
+           }
+         ]
+       },
+       postWithOverlays: {
+         lat: 41.0082,
+         lon: 28.9784,
+         zoom: 14,
+         overlays: [
+           {
+             type: 'wmts',
+             url: 'https://your-geoserver.com/gwc/service/wmts',
+             layer: 'your:layer_name',
+             matrixSet: 'EPSG:900913',
+             matrixIdPrefix: 'EPSG:900913:'
+           },
+           {
+             type: 'xyz',
+             url: 'https://tiles.example.com/overlay/{z}/{x}/{y}.png',
+             opacity: 0.6
+           },
+           {
+             type: 'mvt',
+             url: 'https://tiles.example.com/vector/{z}/{x}/{y}.pbf',
+             style: { fill: 'rgba(0, 102, 255, 0.2)', stroke: '#0066FF', width: 1 },
+             layerStyles: { roads: { stroke: '#FF6600', width: 2 } }
+           }
+         ]
+       },
+       postBatch: {
+         template: {
+           zoom: 16,
+           width: 320,
+           height: 240,
+           pin: { type: 'circle', color: '#FF0000' }
+         },
+         items: [
+           { name: 'asset-1', lat: 41.0082, lon: 28.9784 },
+           { name: 'asset-2', lat: 41.0150, lon: 28.9700, pin: { type: 'star', text: 'B' } }
+         ]
+       },
+       postWithDecorations: {
+         lat: 41.0082,
+         lon: 28.9784,
+         zoom: 14,
+         width: 1200,
+         height: 800,
+         decorations: {
+           title: { text: 'Olay Raporu', subtitle: 'Fatih, İstanbul' },
+           scaleLine: { units: 'metric', position: 'bottom-left' },
+           northArrow: { position: 'top-right' },
+           legend: {
+             title: 'Lejant',
+             items: [
+               { label: 'Tehlike bölgesi', color: 'rgba(255, 0, 0, 0.5)' },
+               { label: 'Güzergah', color: '#0066FF', shape: 'line' }
+             ]
+           },
+           attribution: true,
+           timestamp: { timeZone: 'Europe/Istanbul', locale: 'tr-TR' }
+         }
+       },
+       postWithProjection: {
+         lat: 46.5,
+         lon: 2.5,
+         zoom: 6,
+         bearing: 15,
+         basemap: 'none',
+         projection: {
+           code: 'EPSG:2154',
+           proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+           extent: [-378305.81, 6093283.21, 1212610.74, 7186901.68]
+         },
+         wms: [
+           {
+             url: 'https://data.geopf.fr/wms-r/wms',
+             layers: 'CADASTRALPARCELS.PARCELLAIRE_EXPRESS',
+             version: '1.3.0'
+           }
+         ]
+       },
+       postGeoTiff: {
+         bbox: [28.95, 40.99, 29.02, 41.03],
+         width: 1600,
+         height: 1200,
+         format: 'geotiff'
+       },
+       postMosaic: {
+         bbox: [28.6, 40.8, 29.4, 41.3],
+         width: 8000,
+         height: 6000,
+         format: 'png',
+         mosaic: true,
+         worldFile: true
+       },
+       postAnimation: {
+         bbox: [26.0, 36.0, 45.0, 42.0],
+         width: 800,
+         height: 450,
+         basemap: 'grayscale',
+         wms: [
+           {
+             url: 'https://your-geoserver.com/wms',
+             layers: 'weather:precipitation',
+             opacity: 0.7
+           }
+         ],
+         decorations: { timestamp: { position: 'top-left', timeZone: 'Europe/Istanbul' } },
+         animation: {
+           timeRange: { start: '2025-06-01T00:00:00Z', end: '2025-06-01T12:00:00Z', step: 'PT1H' },
+           delay: 400,
+           format: 'webp'
+         }
+       },
+       postTemplate: {
+         id: 'flood-zones',
+         name: 'Flood zones',
+         options: {
+           zoom: 13,
+           width: 1200,
+           height: 800,
+           wms: [
+             {
+               url: 'https://your-geoserver.com/wms',
+               layers: 'your:flood_zones',
+               opacity: 0.7
+             }
+           ],
+           pin: { type: 'circle', color: '#FF0000' },
+           decorations: { scaleLine: true, northArrow: true }
+         }
+       },
+       getTemplateScreenshot: '/templates/flood-zones/screenshot?lat=41.0082&lon=28.9784&pin.text=Site',
+       postPdf: {
+         lat: 41.0082,
+         lon: 28.9784,
+         zoom: 14,
+         format: 'pdf',
+         print: { paperSize: 'A3', orientation: 'landscape', margin: 10, dpi: 200 },
+         decorations: {
+           title: { text: 'Saha Haritası' },
+           scaleLine: true,
+           northArrow: true
+         }
+       },
+       postPrint: {
+         print: { paperSize: 'A4', orientation: 'portrait', dpi: 150 },
+         template: {
+           zoom: 16,
+           decorations: { scaleLine: true, northArrow: true }
+         },
+         items: [
+           { lat: 41.0082, lon: 28.9784, decorations: { title: { text: 'Pafta 1' }, scaleLine: true } },
+           { lat: 41.0150, lon: 28.9700, decorations: { title: { text: 'Pafta 2' }, scaleLine: true } }
+         ]
+       },
        postWithPin: {
          lat: 41.0082,
          lon: 28.9784,
@@ -500,6 +5825,69 @@ app.get('/api-info', (req, res) => {
            textSize: 20
          }
        },
+       postWithPins: {
+         fitPins: true,
+         padding: 60,
+         pins: [
+           { lat: 41.0082, lon: 28.9784, text: 'ARAÇ 1', type: 'square', color: '#0066FF' },
+           { lat: 41.0150, lon: 28.9700, text: 'OLAY', type: 'star', color: '#FF0000', size: 25 }
+         ]
+       },
+       postWithCustomBasemap: {
+         lat: 41.0082,
+         lon: 28.9784,
+         zoom: 15,
+         basemap: {
+           url: 'https://tiles.example.com/{z}/{x}/{y}.png',
+           attribution: '© Example Tiles',
+           maxZoom: 18
+         }
+       },
+       postOverlayOnly: {
+         lat: 41.0082,
+         lon: 28.9784,
+         zoom: 15,
+         format: 'png',
+         basemap: 'none',
+         wms: [
+           {
+             url: 'https://your-geoserver.com/wms',
+             layers: 'your:layer_name'
+           }
+         ]
+       },
+       postWithGeojson: {
+         fitGeojson: true,
+         padding: 30,
+         geojsonStyle: { fill: 'rgba(255, 0, 0, 0.3)', stroke: '#FF0000', width: 2 },
+         geojson: {
+           type: 'FeatureCollection',
+           features: [
+             {
+               type: 'Feature',
+               properties: { label: 'TEHLİKE BÖLGESİ' },
+               geometry: {
+                 type: 'Polygon',
+                 coordinates: [[[28.97, 41.00], [28.99, 41.00], [28.99, 41.02], [28.97, 41.02], [28.97, 41.00]]]
+               }
+             },
+             {
+               type: 'Feature',
+               properties: { stroke: '#0066FF', width: 4 },
+               geometry: {
+                 type: 'LineString',
+                 coordinates: [[28.96, 40.99], [28.98, 41.01], [29.00, 41.03]]
+               }
+             }
+           ]
+         }
+       },
+       postWithBbox: {
+         bbox: [28.95, 41.00, 29.00, 41.03],
+         padding: 20,
+         width: 1200,
+         height: 800
+       },
        postWithShapes: {
          lat: 41.0082,
          lon: 28.9784,
@@ -516,128 +5904,313 @@ app.get('/api-info', (req, res) => {
    });
  });
 
-function generateHtml(lat, lon, zoom, wmsLayers = null, pin = null) {
-  // WMS katmanları için JavaScript kodunu oluştur
-  let wmsLayersCode = '';
-  let layersArray = '  layers.push(osmLayer);';
-  
-  if (wmsLayers && wmsLayers.length > 0) {
-    wmsLayers.forEach((wmsLayer, index) => {
-      const opacity = wmsLayer.opacity !== undefined ? wmsLayer.opacity : 1;
-      const layerName = `wmsLayer${index}`;
-      
-      wmsLayersCode += `
-      // WMS Layer ${index + 1}: ${wmsLayer.layers}
-      const ${layerName} = new ol.layer.Tile({
-        source: new ol.source.TileWMS({
-          url: '${wmsLayer.url}',
-          params: {
-            'LAYERS': '${wmsLayer.layers}',
-            'TILED': true,
-            'VERSION': '1.1.1',
-            'FORMAT': 'image/png',
-            'TRANSPARENT': true
-          },
-          serverType: 'geoserver'
+// Sayfaya verilecek render spec'ini oluştur - sayfadaki renderer sadece bu JSON'u okur,
+// istek verisi hiçbir zaman JavaScript koduna gömülmez
+function buildRenderSpec({
+  lat, lon, zoom, basemap = null, wms = null, overlays = null, pin = null, pins = null, fitPins = false,
+  geojson = null, geojsonStyle = null, fitGeojson = false, bbox = null, padding = null, decorations = null,
+  pixelRatio = 1, bearing = 0, projection = null, frame = null, timestampText = null
+}) {
+  const baseConfig = resolveBasemap(basemap);
+  const overlayLayers = collectOverlays(wms, overlays);
+
+  // Tekil pin konumsuzsa harita merkezine düşer, çoklu pinler kendi konumunu taşır
+  const allPins = [];
+  if (pin) {
+    allPins.push({ ...pin, lat: pin.lat !== undefined ? pin.lat : lat, lon: pin.lon !== undefined ? pin.lon : lon });
+  }
+  if (pins && pins.length > 0) {
+    allPins.push(...pins);
+  }
+
+  // bbox verildiyse merkez bbox'ın ortası, zoom ise fit sonrası belirlenir
+  if (bbox) {
+    lat = lat !== undefined ? lat : (bbox[1] + bbox[3]) / 2;
+    lon = lon !== undefined ? lon : (bbox[0] + bbox[2]) / 2;
+    zoom = zoom !== undefined ? zoom : 2;
+  } else if (fitPins || fitGeojson) {
+    // Başlangıç görünümü önemsiz, fit ile değiştirilecek
+    lat = lat !== undefined ? lat : 0;
+    lon = lon !== undefined ? lon : 0;
+    zoom = zoom !== undefined ? zoom : 2;
+  }
+
+  const hasGeojson = Boolean(geojson && geojson.features && geojson.features.length > 0);
+
+  // bbox'ı tam olarak ya da tüm pinleri/GeoJSON'u görünür olacak şekilde çerçevele
+  let fit = null;
+  if (bbox) {
+    fit = {
+      bbox,
+      padding: Array.isArray(padding) ? padding : Array(4).fill(padding || 0)
+    };
+  } else if ((fitPins && allPins.length > 0) || (fitGeojson && hasGeojson)) {
+    // Padding verilmediyse pin şekli ve etiketler kesilmesin diye pay bırak
+    fit = {
+      pins: Boolean(fitPins && allPins.length > 0),
+      geojson: Boolean(fitGeojson && hasGeojson),
+      padding: Array.isArray(padding) ? padding : Array(4).fill(padding !== null && padding !== undefined ? padding : 50),
+      maxZoom: 18
+    };
+  }
+
+  return {
+    view: {
+      center: [Number(lon), Number(lat)],
+      zoom: Number(zoom),
+      // bearing saat yönünde derece, OpenLayers rotation saat yönünün tersine radyan
+      rotation: -(Number(bearing) || 0) * Math.PI / 180,
+      projection: resolveProjection(projection)
+    },
+    pixelRatio: Number(pixelRatio) || 1,
+    basemap: baseConfig ? {
+      ...resolveTileUrl(baseConfig, pixelRatio),
+      attribution: baseConfig.attribution,
+      maxZoom: baseConfig.maxZoom,
+      grayscale: Boolean(baseConfig.grayscale)
+    } : null,
+    overlays: overlayLayers.map(overlay => {
+      const opacity = overlay.opacity !== undefined ? overlay.opacity : 1;
+      if (overlay.type === 'wms') {
+        return {
+          type: 'wms',
+          url: overlay.url,
+          params: buildWmsParams(overlay),
+          serverType: overlay.serverType || 'geoserver',
+          tiled: overlay.tiled !== false,
+          opacity
+        };
+      }
+      if (overlay.type === 'wmts') {
+        return {
+          type: 'wmts',
+          url: overlay.url,
+          layer: overlay.layer,
+          matrixSet: overlay.matrixSet,
+          style: overlay.style || 'default',
+          format: overlay.format || 'image/png',
+          requestEncoding: overlay.requestEncoding || 'KVP',
+          matrixIdPrefix: overlay.matrixIdPrefix || '',
+          maxZoom: overlay.maxZoom !== undefined ? overlay.maxZoom : 19,
+          opacity
+        };
+      }
+      if (overlay.type === 'xyz') {
+        return {
+          type: 'xyz',
+          ...resolveTileUrl(overlay, pixelRatio),
+          maxZoom: overlay.maxZoom !== undefined ? overlay.maxZoom : 19,
+          opacity
+        };
+      }
+      return {
+        type: 'mvt',
+        url: overlay.url,
+        maxZoom: overlay.maxZoom !== undefined ? overlay.maxZoom : 14,
+        style: {
+          default: { ...VECTOR_STYLE_DEFAULTS, ...(overlay.style || {}) },
+          layers: overlay.layerStyles || {}
+        },
+        opacity
+      };
+    }),
+    geojson: hasGeojson ? {
+      data: geojson,
+      style: { ...VECTOR_STYLE_DEFAULTS, ...(geojsonStyle || {}) }
+    } : null,
+    pins: allPins.map(item => ({
+      lon: Number(item.lon),
+      lat: Number(item.lat),
+      type: item.type || 'circle',
+      size: item.size || 20,
+      color: item.color || '#FF0000',
+      text: item.text ? String(item.text) : '',
+      textSize: item.textSize || 16
+    })),
+    fit,
+    // Mozaik parçası: görünüm tüm çerçeveye göre kurulur, sayfa sadece offset'teki bölümü çizer
+    frame,
+    decorations: buildDecorationsConfig(decorations, { baseConfig, overlayLayers, timestampText })
+  };
+}
+
+// Harita sayfası renderer'ı - Node'da çağrılmaz, kaynağı sayfaya renderer.js olarak verilir
+// /screenshot ve /preview-html aynı kodu kullanır, farklılık sadece render spec'indedir
+function renderMap(spec) {
+  // Render durumu - sunucu bu nesneyi okuyarak ne zaman ekran görüntüsü alacağına karar verir
+  window.renderStatus = { ready: false, started: 0, loaded: 0, failed: 0 };
+
+  // Görünüm projeksiyonu - WMS katmanları kendi projeksiyonu verilmediği için bu CRS ile istenir
+  const viewProjection = spec.view.projection.code;
+  if (spec.view.projection.proj4) {
+    proj4.defs(viewProjection, spec.view.projection.proj4);
+    ol.proj.proj4.register(proj4);
+    ol.proj.get(viewProjection).setExtent(spec.view.projection.extent);
+  }
+
+  // Web Mercator (GoogleMapsCompatible) ölçek dizisine göre WMTS tile grid
+  function createWmtsTileGrid(matrixIdPrefix, maxZoom) {
+    const projectionExtent = ol.proj.get('EPSG:3857').getExtent();
+    const maxResolution = ol.extent.getWidth(projectionExtent) / 256;
+    const resolutions = [];
+    const matrixIds = [];
+    for (let z = 0; z <= maxZoom; z++) {
+      resolutions.push(maxResolution / Math.pow(2, z));
+      matrixIds.push(matrixIdPrefix + z);
+    }
+    return new ol.tilegrid.WMTS({
+      origin: ol.extent.getTopLeft(projectionExtent),
+      resolutions: resolutions,
+      matrixIds: matrixIds
+    });
+  }
+
+  // Kaynak katman adına göre stil seçen vector tile stil fonksiyonu
+  function createVectorTileStyle(styleDef) {
+    const cache = {};
+    return function(feature) {
+      const sourceLayer = feature.get('layer');
+      if (!cache[sourceLayer]) {
+        const def = Object.assign({}, styleDef.default, styleDef.layers[sourceLayer] || {});
+        const fill = new ol.style.Fill({ color: def.fill });
+        const stroke = new ol.style.Stroke({ color: def.stroke, width: def.width });
+        cache[sourceLayer] = new ol.style.Style({
+          fill: fill,
+          stroke: stroke,
+          image: new ol.style.Circle({ radius: def.radius, fill: fill, stroke: stroke })
+        });
+      }
+      return cache[sourceLayer];
+    };
+  }
+
+  function createOverlayLayer(overlay) {
+    if (overlay.type === 'wms') {
+      // VERSION 1.3.0'da CRS/BBOX eksen sırasını OpenLayers projeksiyona göre kendisi çevirir
+      const sourceOptions = {
+        url: overlay.url,
+        params: overlay.params,
+        serverType: overlay.serverType
+      };
+      // Tek parça görüntü modu - tüm görünüm için tek GetMap isteği
+      return overlay.tiled
+        ? new ol.layer.Tile({ source: new ol.source.TileWMS(sourceOptions), opacity: overlay.opacity })
+        : new ol.layer.Image({ source: new ol.source.ImageWMS(Object.assign(sourceOptions, { ratio: 1 })), opacity: overlay.opacity });
+    }
+    if (overlay.type === 'wmts') {
+      // Capabilities okunmaz, matrix set'in Web Mercator ölçek dizisini izlediği varsayılır
+      return new ol.layer.Tile({
+        source: new ol.source.WMTS({
+          url: overlay.url,
+          layer: overlay.layer,
+          matrixSet: overlay.matrixSet,
+          style: overlay.style,
+          format: overlay.format,
+          requestEncoding: overlay.requestEncoding,
+          projection: 'EPSG:3857',
+          tileGrid: createWmtsTileGrid(overlay.matrixIdPrefix, overlay.maxZoom)
         }),
-        opacity: ${opacity}
+        opacity: overlay.opacity
       });
-      `;
-      
-      layersArray += `\n  layers.push(${layerName});`;
-      layersArray += `\n  tileSources.push(${layerName}.getSource());`;
+    }
+    if (overlay.type === 'xyz') {
+      return new ol.layer.Tile({
+        source: new ol.source.XYZ({
+          url: overlay.url,
+          tilePixelRatio: overlay.tilePixelRatio,
+          maxZoom: overlay.maxZoom
+        }),
+        opacity: overlay.opacity
+      });
+    }
+    return new ol.layer.VectorTile({
+      source: new ol.source.VectorTile({
+        url: overlay.url,
+        format: new ol.format.MVT(),
+        maxZoom: overlay.maxZoom
+      }),
+      style: createVectorTileStyle(overlay.style),
+      opacity: overlay.opacity,
+      declutter: true
     });
   }
 
-  // Pin katmanı için kod oluştur
-  let pinLayerCode = '';
-  if (pin) {
-    const pinLat = pin.lat !== undefined ? pin.lat : lat;
-    const pinLon = pin.lon !== undefined ? pin.lon : lon;
-    const pinText = pin.text || '';
-    const pinColor = pin.color || '#FF0000';
-    const pinSize = pin.size || 20;
-    const pinType = pin.type || 'circle';
-    const textSize = pin.textSize || 16;
-    
-    pinLayerCode = `
-    // Pin şekil fonksiyonları
-    function createPinShape(type, size, color) {
-      const commonStroke = new ol.style.Stroke({
-        color: '#FFFFFF',
-        width: 3
+  // GeoJSON varsayılan stili, feature properties ile ezilebilir
+  function createGeojsonStyle(geojsonDefaults) {
+    return function(feature) {
+      const props = feature.getProperties();
+      const geometryType = feature.getGeometry().getType();
+      const fill = new ol.style.Fill({ color: props.fill || geojsonDefaults.fill });
+      const stroke = new ol.style.Stroke({
+        color: props.stroke || geojsonDefaults.stroke,
+        width: props.width !== undefined ? props.width : geojsonDefaults.width
       });
-      const commonFill = new ol.style.Fill({
-        color: color
+      const label = props.label !== undefined ? props.label : geojsonDefaults.label;
+      const isPoint = geometryType === 'Point' || geometryType === 'MultiPoint';
+      const isLine = geometryType === 'LineString' || geometryType === 'MultiLineString';
+
+      return new ol.style.Style({
+        fill: fill,
+        stroke: stroke,
+        image: isPoint ? new ol.style.Circle({
+          radius: geojsonDefaults.radius,
+          fill: fill,
+          stroke: stroke
+        }) : undefined,
+        text: label ? new ol.style.Text({
+          text: String(label),
+          font: 'bold ' + geojsonDefaults.textSize + 'px Arial',
+          fill: new ol.style.Fill({
+            color: '#FFFFFF'
+          }),
+          stroke: new ol.style.Stroke({
+            color: '#000000',
+            width: 3
+          }),
+          placement: isLine ? 'line' : 'point',
+          offsetY: isPoint ? -(geojsonDefaults.radius + 12) : 0,
+          overflow: true
+        }) : undefined
       });
+    };
+  }
+
+  // Pin şekil fonksiyonları
+  function createPinShape(type, size, color) {
+    const commonStroke = new ol.style.Stroke({
+      color: '#FFFFFF',
+      width: 3
+    });
+    const commonFill = new ol.style.Fill({
+      color: color
+    });
+
+    switch (type) {
+      case 'square':
+        return new ol.style.RegularShape({ points: 4, radius: size, angle: Math.PI / 4, fill: commonFill, stroke: commonStroke });
+      case 'triangle':
+        return new ol.style.RegularShape({ points: 3, radius: size, rotation: 0, fill: commonFill, stroke: commonStroke });
+      case 'star':
+        return new ol.style.RegularShape({ points: 5, radius: size, radius2: size * 0.6, angle: 0, fill: commonFill, stroke: commonStroke });
+      case 'diamond':
+        return new ol.style.RegularShape({ points: 4, radius: size, angle: 0, fill: commonFill, stroke: commonStroke });
+      default:
+        return new ol.style.Circle({ radius: size, fill: commonFill, stroke: commonStroke });
+    }
+  }
+
+  // Her pin kendi stiliyle ayrı bir feature olur
+  function createPinFeature(item, index) {
+    const feature = new ol.Feature({
+      geometry: new ol.geom.Point(ol.proj.fromLonLat([item.lon, item.lat], viewProjection)),
+      name: 'pin-' + index
+    });
 
-      switch(type) {
-        case 'circle':
-          return new ol.style.Circle({
-            radius: size,
-            fill: commonFill,
-            stroke: commonStroke
-          });
-          
-        case 'square':
-          return new ol.style.RegularShape({
-            points: 4,
-            radius: size,
-            angle: Math.PI / 4,
-            fill: commonFill,
-            stroke: commonStroke
-          });
-          
-        case 'triangle':
-          return new ol.style.RegularShape({
-            points: 3,
-            radius: size,
-            rotation: 0,
-            fill: commonFill,
-            stroke: commonStroke
-          });
-          
-        case 'star':
-          return new ol.style.RegularShape({
-            points: 5,
-            radius: size,
-            radius2: size * 0.6,
-            angle: 0,
-            fill: commonFill,
-            stroke: commonStroke
-          });
-          
-        case 'diamond':
-          return new ol.style.RegularShape({
-            points: 4,
-            radius: size,
-            angle: 0,
-            fill: commonFill,
-            stroke: commonStroke
-          });
-          
-        default:
-          return new ol.style.Circle({
-            radius: size,
-            fill: commonFill,
-            stroke: commonStroke
-          });
-      }
-    }
-
-    // Pin Layer - En üstte görünmesi için
-    const pinFeature = new ol.Feature({
-      geometry: new ol.geom.Point(ol.proj.fromLonLat([${pinLon}, ${pinLat}])),
-      name: 'pin'
-    });
-
-    const pinShape = createPinShape('${pinType}', ${pinSize}, '${pinColor}');
-
-    const pinStyle = new ol.style.Style({
-      image: pinShape,
-      text: new ol.style.Text({
-        text: '${pinText}',
-        font: 'bold ${textSize}px Arial',
+    feature.setStyle(new ol.style.Style({
+      image: createPinShape(item.type, item.size, item.color),
+      text: item.text ? new ol.style.Text({
+        text: item.text,
+        font: 'bold ' + item.textSize + 'px Arial',
         fill: new ol.style.Fill({
           color: '#FFFFFF'
         }),
@@ -645,32 +6218,364 @@ function generateHtml(lat, lon, zoom, wmsLayers = null, pin = null) {
           color: '#000000',
           width: 3
         }),
-        offsetY: -${pinSize + 25},
+        offsetY: -(item.size + 25),
         textAlign: 'center',
         textBaseline: 'middle',
         backgroundFill: new ol.style.Fill({
           color: 'rgba(0, 0, 0, 0.8)'
         }),
         padding: [4, 8, 4, 8]
-      })
-    });
+      }) : undefined
+    }));
+
+    return feature;
+  }
+
+  // Katmanları topla: altlık, overlay'ler, GeoJSON, en üstte pinler
+  const layers = [];
+  if (spec.basemap) {
+    layers.push(new ol.layer.Tile({
+      source: new ol.source.XYZ({
+        url: spec.basemap.url,
+        tilePixelRatio: spec.basemap.tilePixelRatio,
+        attributions: spec.basemap.attribution,
+        maxZoom: spec.basemap.maxZoom
+      }),
+      className: spec.basemap.grayscale ? 'basemap-grayscale' : 'ol-layer'
+    }));
+  }
+
+  spec.overlays.forEach(overlay => {
+    layers.push(createOverlayLayer(overlay));
+  });
 
-    pinFeature.setStyle(pinStyle);
+  let geojsonLayer = null;
+  if (spec.geojson) {
+    geojsonLayer = new ol.layer.Vector({
+      source: new ol.source.Vector({
+        features: new ol.format.GeoJSON().readFeatures(spec.geojson.data, {
+          dataProjection: 'EPSG:4326',
+          featureProjection: viewProjection
+        })
+      }),
+      style: createGeojsonStyle(spec.geojson.style),
+      zIndex: 500
+    });
+    layers.push(geojsonLayer);
+    console.log('GeoJSON features created:', geojsonLayer.getSource().getFeatures().length);
+  }
 
-    const pinLayer = new ol.layer.Vector({
+  let pinLayer = null;
+  if (spec.pins.length > 0) {
+    pinLayer = new ol.layer.Vector({
       source: new ol.source.Vector({
-        features: [pinFeature]
+        features: spec.pins.map(createPinFeature)
       }),
       zIndex: 1000 // En üstte görünmesi için yüksek z-index
     });
-    
-    console.log('Pin created at:', ${pinLon}, ${pinLat}, 'Type:', '${pinType}', 'Text:', '${pinText}', 'TextSize:', ${textSize});
-    `;
-    
-    // Pin'i en son ekle ki diğer katmanların üstünde olsun
-    layersArray += `\n  // Pin layer'ı en son ekle`;
+    layers.push(pinLayer);
+    console.log('Pins created:', spec.pins.length);
+  }
+
+  const map = new ol.Map({
+    target: 'map',
+    controls: [],
+    // WMS kaynakları bu orana göre yüksek DPI'lı görüntü ister (serverType parametreleri)
+    pixelRatio: spec.pixelRatio,
+    layers: layers,
+    view: new ol.View({
+      projection: viewProjection,
+      center: ol.proj.fromLonLat(spec.view.center, viewProjection),
+      zoom: spec.view.zoom,
+      rotation: spec.view.rotation
+    }),
+    // Ek harita ayarları
+    loadTilesWhileAnimating: true,
+    loadTilesWhileInteracting: true
+  });
+
+  // bbox'ı tam olarak ya da pinleri/GeoJSON'u görünür olacak şekilde çerçevele
+  // Mozaikte sığdırma sayfaya değil tüm çerçeveye göre yapılır, böylece her parça aynı görünümü bulur
+  const frameSize = spec.frame ? spec.frame.size : map.getSize();
+  if (spec.fit && spec.fit.bbox) {
+    map.getView().fit(
+      ol.proj.transformExtent(spec.fit.bbox, 'EPSG:4326', viewProjection),
+      { size: frameSize, padding: spec.fit.padding }
+    );
+  } else if (spec.fit) {
+    const fitExtent = ol.extent.createEmpty();
+    if (spec.fit.pins && pinLayer) {
+      ol.extent.extend(fitExtent, pinLayer.getSource().getExtent());
+    }
+    if (spec.fit.geojson && geojsonLayer) {
+      ol.extent.extend(fitExtent, geojsonLayer.getSource().getExtent());
+    }
+    map.getView().fit(fitExtent, {
+      size: frameSize,
+      padding: spec.fit.padding,
+      maxZoom: spec.fit.maxZoom
+    });
+  }
+
+  // Çerçevenin görünümü sunucuya bildirilir - georeferans bu bilgiyle hesaplanır
+  const view = map.getView();
+  window.renderStatus.view = {
+    center: view.getCenter(),
+    resolution: view.getResolution(),
+    rotation: view.getRotation(),
+    size: frameSize
+  };
+
+  // Mozaik parçasının merkezi, çerçeve merkezinden piksel offset'i kadar (dönüşle birlikte) kaydırılır
+  if (spec.frame) {
+    const size = map.getSize();
+    const resolution = view.getResolution();
+    const rotation = view.getRotation();
+    const center = view.getCenter();
+    const dx = (spec.frame.offset[0] + size[0] / 2 - frameSize[0] / 2) * resolution;
+    const dy = (spec.frame.offset[1] + size[1] / 2 - frameSize[1] / 2) * resolution;
+    view.setCenter([
+      center[0] + dx * Math.cos(rotation) + dy * Math.sin(rotation),
+      center[1] + dx * Math.sin(rotation) - dy * Math.cos(rotation)
+    ]);
+  }
+
+  // Tüm kaynakların yüklenmesini takip et:
+  // tile kaynakları tile*, tek parça görüntüler image*, url'den yüklenen vektörler features* olayları yayar
+  map.getAllLayers().forEach(layer => {
+    const source = layer.getSource();
+    const kind = source instanceof ol.source.Tile ? 'tile'
+      : source instanceof ol.source.Image ? 'image'
+      : source instanceof ol.source.Vector ? 'features'
+      : null;
+    if (!kind) {
+      return;
+    }
+
+    source.on(kind + 'loadstart', () => {
+      window.renderStatus.started++;
+    });
+    source.on(kind + 'loadend', () => {
+      window.renderStatus.loaded++;
+    });
+    source.on(kind + 'loaderror', () => {
+      window.renderStatus.failed++;
+    });
+  });
+
+  // Harita çizimi ve süsleme görselleri (lejant gibi) bittiğinde ready yap
+  let mapRendered = false;
+  function checkReady() {
+    const status = window.renderStatus;
+    if (mapRendered && !status.ready && status.loaded + status.failed >= status.started) {
+      console.log('Map render completed:', JSON.stringify(status));
+      status.ready = true;
+      document.title = 'ready';
+    }
+  }
+
+  // rendercomplete bekleyen yükleme kalmadığında ve çizim bittiğinde tetiklenir
+  map.on('rendercomplete', function() {
+    mapRendered = true;
+    checkReady();
+  });
+
+  // Süslemeler DOM olarak kurulur - metinler textContent ile yazılır
+  function renderDecorations(config) {
+    const root = document.createElement('div');
+    root.id = 'decorations';
+    const top = document.createElement('div');
+    const middle = document.createElement('div');
+    middle.className = 'middle';
+    const bottom = document.createElement('div');
+    root.append(top, middle, bottom);
+    document.body.appendChild(root);
+
+    const corners = {};
+    ['top-left', 'top-right', 'bottom-left', 'bottom-right'].forEach(position => {
+      corners[position] = document.createElement('div');
+      corners[position].className = 'corner ' + position;
+      middle.appendChild(corners[position]);
+    });
+
+    function place(element, position) {
+      if (position === 'top') {
+        top.appendChild(element);
+      } else if (position === 'bottom') {
+        bottom.appendChild(element);
+      } else {
+        corners[position].appendChild(element);
+      }
+    }
+
+    function styled(element, options, className) {
+      element.className = className;
+      element.style.color = options.color || '';
+      element.style.background = options.background || '';
+      if (options.fontSize) {
+        element.style.fontSize = options.fontSize + 'px';
+      }
+      return element;
+    }
+
+    function textBox(options) {
+      const box = styled(document.createElement('div'), options, options.position === 'top' || options.position === 'bottom' ? 'banner' : 'box');
+      box.textContent = options.text;
+      return box;
+    }
+
+    if (config.title) {
+      const banner = styled(document.createElement('div'), config.title, 'banner');
+      const heading = document.createElement('div');
+      heading.style.fontWeight = 'bold';
+      heading.textContent = config.title.text;
+      banner.appendChild(heading);
+      if (config.title.subtitle) {
+        const subtitle = document.createElement('div');
+        subtitle.style.fontSize = '0.7em';
+        subtitle.textContent = config.title.subtitle;
+        banner.appendChild(subtitle);
+      }
+      place(banner, config.title.position);
+    }
+
+    if (config.scaleLine) {
+      const target = document.createElement('div');
+      place(target, config.scaleLine.position);
+      map.addControl(new ol.control.ScaleLine({ units: config.scaleLine.units, target: target }));
+    }
+
+    if (config.northArrow) {
+      const arrow = styled(document.createElement('div'), config.northArrow, 'box');
+      const size = Number(config.northArrow.size);
+      const svgNs = 'http://www.w3.org/2000/svg';
+      const svg = document.createElementNS(svgNs, 'svg');
+      svg.setAttribute('viewBox', '0 0 40 40');
+      svg.setAttribute('width', size);
+      svg.setAttribute('height', size);
+      const needle = document.createElementNS(svgNs, 'polygon');
+      needle.setAttribute('points', '20,4 28,30 20,25 12,30');
+      needle.setAttribute('fill', 'currentColor');
+      const letter = document.createElementNS(svgNs, 'text');
+      letter.setAttribute('x', '20');
+      letter.setAttribute('y', '39');
+      letter.setAttribute('font-size', '9');
+      letter.setAttribute('text-anchor', 'middle');
+      letter.setAttribute('fill', 'currentColor');
+      letter.textContent = 'N';
+      svg.append(needle, letter);
+      arrow.appendChild(svg);
+      place(arrow, config.northArrow.position);
+      // Görünüm döndürülürse ok da döner
+      map.on('postrender', () => {
+        svg.style.transform = 'rotate(' + map.getView().getRotation() + 'rad)';
+      });
+    }
+
+    if (config.legend) {
+      const legend = styled(document.createElement('div'), config.legend, 'box');
+      if (config.legend.title) {
+        const heading = document.createElement('div');
+        heading.style.fontWeight = 'bold';
+        heading.textContent = config.legend.title;
+        legend.appendChild(heading);
+      }
+      config.legend.items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'legend-row';
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.background = item.color || '#FF0000';
+        if (item.shape === 'line') {
+          swatch.style.height = '3px';
+        } else {
+          swatch.style.borderRadius = item.shape === 'circle' ? '50%' : '2px';
+        }
+        const label = document.createElement('span');
+        label.textContent = item.label;
+        row.append(swatch, label);
+        legend.appendChild(row);
+      });
+      // WMS GetLegendGraphic görselleri yüklenene kadar render hazır sayılmaz
+      config.legend.images.forEach(src => {
+        const image = document.createElement('img');
+        image.style.display = 'block';
+        window.renderStatus.started++;
+        image.onload = () => {
+          window.renderStatus.loaded++;
+          checkReady();
+        };
+        image.onerror = () => {
+          window.renderStatus.failed++;
+          image.remove();
+          checkReady();
+        };
+        image.src = src;
+        legend.appendChild(image);
+      });
+      place(legend, config.legend.position);
+    }
+
+    if (config.attribution && config.attribution.text) {
+      place(textBox(config.attribution), config.attribution.position);
+    }
+
+    if (config.timestamp) {
+      const stamp = textBox(config.timestamp);
+      stamp.id = 'decoration-timestamp';
+      place(stamp, config.timestamp.position);
+    }
+  }
+
+  if (spec.decorations) {
+    renderDecorations(spec.decorations);
   }
 
+  // Animasyon karesi - sayfa yeniden kurulmadan WMS TIME değeri, görünüm ve zaman damgası güncellenir
+  // Sunucu sonra yine renderStatus.ready'yi bekler
+  const wmsSources = map.getAllLayers()
+    .map(layer => layer.getSource())
+    .filter(source => source instanceof ol.source.TileWMS || source instanceof ol.source.ImageWMS);
+  window.applyFrame = function(frame) {
+    window.renderStatus = { ready: false, started: 0, loaded: 0, failed: 0 };
+    mapRendered = false;
+
+    if (frame.time !== null) {
+      wmsSources.forEach(source => source.updateParams({ TIME: frame.time }));
+    }
+    const view = map.getView();
+    if (frame.center) {
+      view.setCenter(ol.proj.fromLonLat(frame.center, viewProjection));
+    }
+    if (frame.zoom !== null) {
+      view.setZoom(frame.zoom);
+    }
+    if (frame.rotation !== null) {
+      view.setRotation(frame.rotation);
+    }
+    const stamp = document.getElementById('decoration-timestamp');
+    if (stamp && frame.timestampText) {
+      stamp.textContent = frame.timestampText;
+    }
+
+    map.render();
+  };
+
+  // Debug bilgileri
+  console.log('Map created with', layers.length, 'layers');
+  layers.forEach((layer, index) => {
+    console.log('Layer', index, ':', layer.constructor.name, layer.getZIndex ? layer.getZIndex() : 'no z-index');
+  });
+
+  // İlk render'ı tetikle
+  map.renderSync();
+
+  return map;
+}
+
+function generateHtml({ assetBaseUrl = '/vendor/ol', ...options }) {
+  const spec = buildRenderSpec(options);
+
   return `
   <!DOCTYPE html>
   <html>
@@ -695,107 +6600,73 @@ function generateHtml(lat, lon, zoom, wmsLayers = null, pin = null) {
         position: relative;
       }
       
+      /* Harita süslemeleri - haritanın üstünde, tıklamaları engellemeden */
+      #decorations {
+        position: absolute;
+        inset: 0;
+        display: flex;
+        flex-direction: column;
+        pointer-events: none;
+        font-family: Arial, sans-serif;
+      }
+      #decorations .middle {
+        position: relative;
+        flex: 1;
+      }
+      #decorations .corner {
+        position: absolute;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin: 8px;
+      }
+      #decorations .top-left { top: 0; left: 0; align-items: flex-start; }
+      #decorations .top-right { top: 0; right: 0; align-items: flex-end; }
+      #decorations .bottom-left { bottom: 0; left: 0; align-items: flex-start; justify-content: flex-end; }
+      #decorations .bottom-right { bottom: 0; right: 0; align-items: flex-end; justify-content: flex-end; }
+      #decorations .box {
+        padding: 4px 8px;
+        border-radius: 4px;
+      }
+      #decorations .banner {
+        padding: 8px 12px;
+        text-align: center;
+      }
+      #decorations .ol-scale-line {
+        position: static;
+      }
+      #decorations .legend-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 2px;
+      }
+      #decorations .legend-swatch {
+        width: 12px;
+        height: 12px;
+        flex: none;
+      }
+
+      /* Gri tonlamalı altlık */
+      .basemap-grayscale {
+        filter: grayscale(100%);
+      }
+      
       /* Loading sırasında beyaz ekranı önle */
       .ol-viewport canvas {
         background: transparent;
       }
     </style>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/ol@v7.3.0/ol.css" />
-    <script src="https://cdn.jsdelivr.net/npm/ol@v7.3.0/dist/ol.js"></script>
+    <link rel="stylesheet" href="${assetBaseUrl}/ol.css" />
+    <script src="${assetBaseUrl}/ol.js"></script>
+    ${spec.view.projection.proj4 ? `<script src="${assetBaseUrl}/proj4.js"></script>` : ''}
+    <script src="${assetBaseUrl}/renderer.js"></script>
   </head>
   <body>
     <div id="map"></div>
+    <script type="application/json" id="render-spec">${toScriptJson(spec)}</script>
     <script>
-      // Base OSM layer
-      const osmLayer = new ol.layer.Tile({
-        source: new ol.source.OSM()
-      });
-
-      ${wmsLayersCode}
-
-      ${pinLayerCode}
-
-      // Katmanları topla
-      const layers = [];
-      const tileSources = [];
-      
-      ${layersArray}
-      tileSources.push(osmLayer.getSource());
-      
-      ${pin ? 'layers.push(pinLayer);' : '// No pin layer'}
-
-      const map = new ol.Map({
-        target: 'map',
-        controls: [],
-        layers: layers,
-        view: new ol.View({
-          center: ol.proj.fromLonLat([${lon}, ${lat}]),
-          zoom: ${zoom}
-        }),
-        // Ek harita ayarları
-        loadTilesWhileAnimating: true,
-        loadTilesWhileInteracting: true
-      });
-
-      // Harita render tamamlandığında kontrol et
-      map.on('rendercomplete', function() {
-        console.log('Map render completed');
-        // Tüm katmanlar yüklendiyse ready yap
-        if (total > 0 && loaded >= total) {
-          document.title = 'ready';
-        }
-      });
-
-      // Tüm katmanların tile'larını takip et
-      let total = 0, loaded = 0;
-
-      tileSources.forEach(tileSource => {
-        tileSource.on('tileloadstart', () => {
-          total++;
-        });
-
-        tileSource.on('tileloadend', () => {
-          loaded++;
-          if (total > 0 && loaded >= total) {
-            document.title = 'ready';
-          }
-        });
-
-        tileSource.on('tileloaderror', () => {
-          loaded++;
-          if (total > 0 && loaded >= total) {
-            document.title = 'ready';
-          }
-        });
-      });
-
-      // Debug bilgileri
-      console.log('Map created with', layers.length, 'layers');
-      layers.forEach((layer, index) => {
-        console.log('Layer', index, ':', layer.constructor.name, layer.getZIndex ? layer.getZIndex() : 'no z-index');
-      });
-      
-      // İlk render'ı tetikle ve bekle
-      map.renderSync();
-      
-      // Pin var mı kontrol et
-      ${pin ? `console.log('Pin should be visible at:', ${pin.lat !== undefined ? pin.lat : lat}, ${pin.lon !== undefined ? pin.lon : lon});` : ''}
-      
-      // Eğer hiç tile yoksa (offline harita gibi) direkt ready yap
-      setTimeout(() => {
-        if (total === 0 && document.title !== 'ready') {
-          console.log('No tiles to load, setting ready');
-          document.title = 'ready';
-        }
-      }, 2000);
-
-      // Timeout güvenliği - 15 saniye sonra zorla ready yap
-      setTimeout(() => {
-        if (document.title !== 'ready') {
-          console.warn('Forcing ready state after timeout');
-          document.title = 'ready';
-        }
-      }, 15000);
+      renderMap(JSON.parse(document.getElementById('render-spec').textContent));
     </script>
   </body>
   </html>`;